@@ -0,0 +1,164 @@
+// Offline support for the planner. The app shell and its CDN assets are
+// served from the cache and refreshed in the background; price files are
+// fetched from the network first, and the last copy is served when that
+// fails, marked with the time it was fetched.
+
+const SHELL_CACHE = "planner-shell-v1";
+const PRICE_CACHE = "planner-prices-v1";
+const CACHED_AT_HEADER = "X-Cached-At"; // Read by `fetchPrices`
+const MAX_PRICE_FILES = 40; // About a week of days in a few zones
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "sweden-electricity-time-price-planner.css",
+  "sweden-electricity-time-price-planner.js",
+  "manifest.webmanifest",
+  "icon.svg",
+];
+// Cached when possible; the app still installs without them
+const CDN_FILES = [
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.3/dist/chart.umd.min.js",
+  "https://fonts.googleapis.com/css2?family=Inter:wght@400;600;700&display=swap",
+  "https://cdnjs.cloudflare.com/ajax/libs/animate.css/4.1.1/animate.min.css",
+];
+const CDN_HOSTS = [
+  "cdn.jsdelivr.net",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+  "cdnjs.cloudflare.com",
+];
+const PRICE_URL_PATTERNS = [
+  /^https:\/\/www\.elprisetjustnu\.se\/api\/v1\/prices\//,
+  /^https:\/\/web-api\.tp\.entsoe\.eu\/api\?/,
+  /\/fixtures\/[^/]+\.json$/,
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(async (cache) => {
+      await cache.addAll(SHELL_FILES);
+      await Promise.all(
+        CDN_FILES.map((url) =>
+          cache
+            .add(url)
+            .catch((error) =>
+              console.warn(`Could not cache ${url}:`, error.message)
+            )
+        )
+      );
+      self.skipWaiting();
+    })
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => ![SHELL_CACHE, PRICE_CACHE].includes(name))
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (PRICE_URL_PATTERNS.some((pattern) => pattern.test(request.url))) {
+    event.respondWith(fetchPriceFile(request));
+  } else if (
+    url.origin === self.location.origin ||
+    CDN_HOSTS.includes(url.hostname)
+  ) {
+    event.respondWith(serveShellFile(event));
+  }
+});
+
+// Slot reminders: a click brings the planner to the front
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) =>
+        windows.length ? windows[0].focus() : self.clients.openWindow("./")
+      )
+  );
+});
+
+/**
+ * Network first for a price file. A good response is kept; a network error
+ * falls back to the kept copy, with its fetch time in `X-Cached-At`.
+ */
+async function fetchPriceFile(request) {
+  const cache = await caches.open(PRICE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const headers = new Headers(response.headers);
+      headers.set(CACHED_AT_HEADER, String(Date.now()));
+      await cache.put(
+        request,
+        new Response(await response.clone().blob(), {
+          status: response.status,
+          statusText: response.statusText,
+          headers,
+        })
+      );
+      await trimPriceCache(cache);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Drops the oldest price files beyond `MAX_PRICE_FILES`.
+ */
+async function trimPriceCache(cache) {
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .slice(0, Math.max(0, keys.length - MAX_PRICE_FILES))
+      .map((key) => cache.delete(key))
+  );
+}
+
+/**
+ * Serves the app shell and CDN assets from the cache while fetching a fresh
+ * copy for next time. Offline pages open as the cached index.html.
+ */
+async function serveShellFile(event) {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached =
+    (await cache.match(request, {
+      ignoreSearch: request.mode === "navigate",
+    })) ||
+    (request.mode === "navigate" ? await cache.match("index.html") : null);
+  const refresh = fetch(request)
+    .then(async (response) => {
+      if (response.ok || response.type === "opaque") {
+        await cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch((error) => {
+      if (!cached) throw error;
+    });
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return refresh;
+}
@@ -1,14 +1,231 @@
 const TARGET_CURRENCY_UNIT = "SEK/kWh";
 const API_BASE_URL = "https://www.elprisetjustnu.se/api/v1/prices/";
+const ENTSOE_API_URL = "https://web-api.tp.entsoe.eu/api";
+// ENTSO-E bidding zone (EIC) codes for the Swedish price areas
+const ENTSOE_AREA_CODES = {
+  SE1: "10Y1001A1001A44P",
+  SE2: "10Y1001A1001A45N",
+  SE3: "10Y1001A1001A46L",
+  SE4: "10Y1001A1001A47J",
+};
+const DEFAULT_PRICE_PROVIDER = "elprisetjustnu";
+const DEFAULT_EUR_SEK_RATE = 11; // For providers that publish EUR/MWh
+const DEFAULT_FIXTURE_PATH = "fixtures/"; // Relative to index.html
+const SERVICE_WORKER_URL = "service-worker.js"; // Relative to index.html
+// Set by the service worker on price files served from its cache when the
+// network fails: when the copy was fetched, in ms since the epoch
+const CACHED_AT_HEADER = "X-Cached-At";
+const ELECTRICITY_MAPS_API_URL =
+  "https://api.electricitymaps.com/v3/carbon-intensity/forecast";
 const cacheKeys = {
-  electricityPrices: "electricity_prices_cache",
+  electricityPrices: "electricity_prices_cache", // Old single-day cache, cleared on load
+  priceDatabase: "electricity_prices",
   userPreferences: "user_preferences",
+  carbonIntensity: "carbon_intensity", // { [zone]: [{ start, g }] }
+  slotReminders: "slot_reminders", // Armed reminders, see `handleSlotReminder`
+  priceAlertsNotified: "price_alerts_notified", // [{ key, until }]
 };
+const PRICE_DAY_STORE = "days"; // IndexedDB store of cached delivery days
+const PRICE_ARCHIVE_STORE = "archive"; // Complete past days kept for history
+const MAX_HISTORY_DAYS = 366; // Longest date range the history view loads
+const DEFAULT_CACHE_RETENTION_DAYS = 7;
+const DEFAULT_REMINDER_LEAD_MINUTES = "10";
+const REFRESH_RETRY_MINUTES = { initial: 5, max: 60 }; // Backoff after 13:15
+const REFRESH_TICK_MINUTES = 15; // Longest single wait between due-time checks
 const CHART_COLORS = {
   base: "rgb(59, 130, 246)", // Blue-500
   highlight: "rgb(22, 163, 74)", // Green-700
   background: "rgba(59, 130, 246, 0.1)",
 };
+const PERIOD_MINUTES = 15; // Length of a quarter-hour price period
+const PRICE_RESOLUTIONS = {
+  auto: "auto", // As published; a day mixing lengths is split to 15 minutes
+  quarterHour: "15", // Every period split into quarter-hours
+  hour: "60", // Quarter-hours averaged into whole hours
+};
+const STOCKHOLM_TIME_ZONE = "Europe/Stockholm"; // Prices follow Swedish time
+const CALENDAR_PRODUCT_ID = "-//Sweden Electricity Time Price Planner//EN";
+const EXPORT_FORMAT = "sweden-electricity-time-price-planner/v1";
+// Stockholm's daylight saving rules, so calendars need no time zone lookup
+const STOCKHOLM_VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${STOCKHOLM_TIME_ZONE}`,
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+const GRID_TARIFF_MODES = {
+  flat: "flat", // One grid fee for every period
+  timeOfUse: "timeOfUse", // Grid fee from month/weekday/hour rules
+};
+// Example time-of-use transfer fees in SEK/kWh excl. VAT, one rule per line.
+// Operators revise their price lists yearly, so these are starting points.
+const GRID_TARIFF_PRESETS = {
+  vattenfallTime: [
+    "# Vattenfall Eldistribution, tidstariff (example rates)",
+    "Nov-Mar Mon-Fri 06-22 0.765",
+    "* * * 0.305",
+  ],
+  eonTime: [
+    "# E.ON Energidistribution, tidstariff (example rates)",
+    "Nov-Mar Mon-Fri 06-22 0.640",
+    "* * * 0.250",
+  ],
+  ellevioTime: [
+    "# Ellevio, high/low load (example rates)",
+    "Nov-Mar Mon-Fri 07-19 0.580",
+    "* * 22-06 0.180",
+    "* * * 0.260",
+  ],
+};
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const WEEKDAY_NAMES = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+const SLOT_STRATEGIES = {
+  optimal: "optimal", // Cheapest combined set of N non-overlapping blocks
+  greedy: "greedy", // Cheapest block first, then the next cheapest that fits
+};
+const LOAD_MODES = {
+  contiguous: "contiguous", // One continuous block per option
+  interruptible: "interruptible", // Cheapest periods, split into pieces
+};
+const LOAD_UNITS = {
+  kw: "kw", // Power rating of the appliance
+  kwh: "kwh", // Total energy for the whole run
+  profile: "profile", // kW for each 15-minute step of the run
+};
+const MAX_PROFILE_STEPS = 192; // 48 hours of 15-minute steps
+const MAX_SCHEDULE_SEARCH_STEPS = 200000; // Starts tried by the exact search
+// Typical draw (kW per 15-minute step) of common non-uniform appliances
+const LOAD_PROFILE_PRESETS = {
+  dishwasher: [2.0, 0.7, 0.1, 0.1, 0.1, 0.1, 1.8, 0.2],
+  washingMachine: [2.1, 2.1, 0.3, 0.3, 0.2, 0.5],
+  tumbleDryer: [2.4, 2.4, 2.4, 2.2, 1.6, 0.4],
+};
+// Colors for appliances stacked on the chart by the household scheduler
+const APPLIANCE_COLORS = [
+  "rgba(249, 115, 22, 0.7)", // Orange-500
+  "rgba(168, 85, 247, 0.7)", // Purple-500
+  "rgba(20, 184, 166, 0.7)", // Teal-500
+  "rgba(236, 72, 153, 0.7)", // Pink-500
+  "rgba(234, 179, 8, 0.7)", // Yellow-500
+  "rgba(100, 116, 139, 0.7)", // Slate-500
+];
+// Typical Swedish household use per Stockholm hour (relative weights), used
+// to estimate the average price an hourly-spot contract pays
+const HOUSEHOLD_LOAD_SHAPE = [
+  0.6, 0.5, 0.5, 0.5, 0.5, 0.6, 0.9, 1.2, 1.2, 1.0, 0.9, 0.9, 0.9, 0.9, 0.9,
+  1.0, 1.2, 1.5, 1.6, 1.5, 1.3, 1.1, 0.9, 0.7,
+];
+const SOLAR_MODES = {
+  off: "off",
+  curve: "curve", // Sine arch from sunrise to sunset, same every day
+  upload: "upload", // Hourly forecast imported from a CSV file
+};
+const SOLAR_COLOR = "rgba(234, 179, 8, 0.35)"; // Yellow-500
+const CARBON_COLOR = "rgb(21, 128, 61)"; // Green-700
+const PRICE_ALERT_COLOR = "rgba(245, 158, 11, 0.25)"; // Amber-500, shaded
+const BATTERY_SOC_LEVELS = { min: 100, max: 1000 }; // State-of-charge grid
+const BATTERY_COLORS = {
+  charge: "rgb(22, 163, 74)", // Green-700
+  discharge: "rgb(234, 88, 12)", // Orange-600
+  soc: "rgb(100, 116, 139)", // Slate-500
+};
+const DEFAULT_APPLIANCES = [
+  { name: "EV charger", minutes: 240, kw: 11, earliestStart: "", deadline: "" },
+  { name: "Dishwasher", minutes: 120, kw: 2, earliestStart: "", deadline: "" },
+];
+// Built-in search windows as times of day; "end" at or before "start" means
+// the window runs past midnight. `dayOffset` pins a window to today/tomorrow.
+const WINDOW_PRESETS = {
+  "today-full": { start: "00:00", end: "00:00", dayOffset: 0 },
+  "tomorrow-full": { start: "00:00", end: "00:00", dayOffset: 1 },
+  night: { start: "00:00", end: "08:00" },
+  day: { start: "08:00", end: "16:00" },
+  evening: { start: "16:00", end: "00:00" },
+};
+const CUSTOM_WINDOW = "custom";
+// Planner state carried by shareable links: URL parameter, form field, how
+// the value is checked and, for numbers, its allowed range
+const LINK_PARAMS = [
+  { name: "zone", id: "priceZone", type: "select" },
+  { name: "minutes", id: "minutesNeeded", type: "int", min: 15, max: 2880 },
+  { name: "slots", id: "topSlotsNeeded", type: "int", min: 1, max: 10 },
+  { name: "strategy", id: "slotStrategy", type: "select" },
+  { name: "mode", id: "loadMode", type: "select" },
+  { name: "minRun", id: "minRunMinutes", type: "int", min: 15, max: 2880 },
+  { name: "maxPieces", id: "maxSegments", type: "int", min: 1, max: 192 },
+  { name: "load", id: "applianceLoad", type: "number", min: 0.1, max: 1000 },
+  { name: "unit", id: "applianceLoadUnit", type: "select" },
+  { name: "profile", id: "loadProfile", type: "profile" },
+  { name: "window", id: "timeSlot", type: "window" },
+  { name: "from", id: "earliestStart", type: "datetime" },
+  { name: "to", id: "finishBy", type: "datetime" },
+  { name: "gridFee", id: "gridFee", type: "number", min: 0, max: 10 },
+  { name: "tariff", id: "gridTariffMode", type: "select" },
+  { name: "tariffRules", id: "gridTariffRules", type: "tariffRules" },
+  { name: "markup", id: "supplierMarkup", type: "number", min: -10, max: 10 },
+  {
+    name: "certificate",
+    id: "certificateFee",
+    type: "number",
+    min: 0,
+    max: 10,
+  },
+  {
+    name: "monthlyFee",
+    id: "supplierMonthlyFee",
+    type: "number",
+    min: 0,
+    max: 10000,
+  },
+  { name: "energyTax", id: "energyTax", type: "number", min: 0, max: 10 },
+  { name: "vat", id: "vatPercentage", type: "number", min: 0, max: 100 },
+  { name: "powerCharge", id: "powerCharge", type: "number", min: 0, max: 1000 },
+  { name: "peaks", id: "powerPeaksAveraged", type: "int", min: 1, max: 10 },
+  { name: "peakHours", id: "powerPeakHours", type: "peakHours" },
+  { name: "baseLoad", id: "powerBaseLoad", type: "number", min: 0, max: 100 },
+  { name: "currentPeaks", id: "powerCurrentPeaks", type: "kwList" },
+  { name: "resolution", id: "priceResolution", type: "select" },
+  { name: "solar", id: "solarMode", type: "select" },
+  { name: "solarPeak", id: "solarPeakKw", type: "number", min: 0, max: 1000 },
+  { name: "sunrise", id: "solarSunrise", type: "time" },
+  { name: "sunset", id: "solarSunset", type: "time" },
+  { name: "solarLoad", id: "solarBaseLoad", type: "number", min: 0, max: 100 },
+  {
+    name: "exportAdjust",
+    id: "exportAdjustment",
+    type: "number",
+    min: -10,
+    max: 10,
+  },
+  { name: "carbon", id: "carbonProvider", type: "select" },
+  { name: "carbonWeight", id: "carbonWeight", type: "int", min: 0, max: 100 },
+];
 const GEMINI_API_URL =
   "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=";
 const API_KEY = ""; // Placeholder for Canvas environment injection
@@ -16,31 +233,158 @@ const API_KEY = ""; // Placeholder for Canvas environment injection
 let priceChartInstance = null; // Holds the Chart.js instance
 let lastCalculatedSlots = []; // Global state to pass slots to the LLM assistant
 let lastCalculatedUserFees = {}; // Global state for fee context
+let lastCalculatedLoad = {}; // Global state for appliance load context
+let lastPlanHandler = null; // Handler that rendered the current plan
+let refreshedDateKey = null; // Stockholm day the current plan was made on
+let nextRefresh = null; // { at, reason } of the next background check
+let refreshTimerId = null;
+let refreshRetryMinutes = 0;
+let isBackgroundRefresh = false; // Set while a refresh re-runs the plan
+let userWindowPresets = []; // The user's own named search windows
+let savedCars = []; // The user's saved electric cars
+let pvForecastRows = []; // Uploaded hourly PV forecast, [{ start, kw }]
+let lastCalendarPlan = null; // { name, zone } of the slots on screen
+let lastPlanPrices = null; // { zone, planTime, prices } behind the last plan
+let importedPriceSeries = null; // { fileName, zone, planTime, rows } replayed
+let armedReminders = []; // Slot starts to notify about, kept in localStorage
+let reminderTimerId = null;
+let priceAlertMatches = []; // Alert matches in the latest price series
+let historyChartInstance = null; // Holds the price history Chart.js instance
 
 // --- DOM Elements ---
 const priceZoneSelect = document.getElementById("priceZone");
+const copyLinkButton = document.getElementById("copyLinkButton");
+const shareLinkStatus = document.getElementById("share-link-status");
 const minutesNeededInput = document.getElementById("minutesNeeded");
 const topSlotsNeededInput = document.getElementById("topSlotsNeeded");
+const slotStrategySelect = document.getElementById("slotStrategy");
+const loadModeSelect = document.getElementById("loadMode");
+const interruptibleOptions = document.getElementById("interruptible-options");
+const minRunMinutesInput = document.getElementById("minRunMinutes");
+const maxSegmentsInput = document.getElementById("maxSegments");
+const applianceLoadInput = document.getElementById("applianceLoad");
+const applianceLoadUnitSelect = document.getElementById("applianceLoadUnit");
+const applianceList = document.getElementById("appliance-list");
+const addApplianceButton = document.getElementById("addApplianceButton");
+const powerCapKwInput = document.getElementById("powerCapKw");
+const scheduleButton = document.getElementById("scheduleButton");
+const solarModeSelect = document.getElementById("solarMode");
+const solarOptions = document.getElementById("solar-options");
+const solarCurveOptions = document.getElementById("solar-curve-options");
+const solarUploadOptions = document.getElementById("solar-upload-options");
+const solarPeakKwInput = document.getElementById("solarPeakKw");
+const solarSunriseInput = document.getElementById("solarSunrise");
+const solarSunsetInput = document.getElementById("solarSunset");
+const pvForecastFileInput = document.getElementById("pvForecastFile");
+const pvForecastStatus = document.getElementById("pv-forecast-status");
+const solarBaseLoadInput = document.getElementById("solarBaseLoad");
+const exportAdjustmentInput = document.getElementById("exportAdjustment");
+const applianceNameInput = document.getElementById("applianceName");
+const calendarReminderSelect = document.getElementById("calendarReminder");
+const reminderLeadSelect = document.getElementById("reminderLead");
+const reminderList = document.getElementById("reminder-list");
+const priceAlertRulesInput = document.getElementById("priceAlertRules");
+const priceAlertNotifyInput = document.getElementById("priceAlertNotify");
+const priceAlertsBox = document.getElementById("price-alerts");
+const historyFromInput = document.getElementById("historyFrom");
+const historyToInput = document.getElementById("historyTo");
+const historyButton = document.getElementById("historyButton");
+const historyResults = document.getElementById("history-results");
+const historyChartContainer = document.getElementById(
+  "history-chart-container"
+);
+const historyChartCanvas = document.getElementById("historyChart");
+const exportPricesCsvButton = document.getElementById("exportPricesCsvButton");
+const exportSlotsCsvButton = document.getElementById("exportSlotsCsvButton");
+const exportJsonButton = document.getElementById("exportJsonButton");
+const planImportFileInput = document.getElementById("planImportFile");
+const dataExportStatus = document.getElementById("data-export-status");
+const clearPlanImportButton = document.getElementById("clearPlanImportButton");
+const carbonProviderSelect = document.getElementById("carbonProvider");
+const carbonOptions = document.getElementById("carbon-options");
+const carbonTokenOptions = document.getElementById("carbon-token-options");
+const carbonTokenInput = document.getElementById("carbonToken");
+const carbonFileInput = document.getElementById("carbonFile");
+const carbonImportStatus = document.getElementById("carbon-import-status");
+const carbonWeightInput = document.getElementById("carbonWeight");
+const carbonWeightLabel = document.getElementById("carbon-weight-label");
+const carbonChartInput = document.getElementById("carbonChart");
+const evCarSelect = document.getElementById("evCar");
+const evCarNameInput = document.getElementById("evCarName");
+const saveCarButton = document.getElementById("saveCarButton");
+const deleteCarButton = document.getElementById("deleteCarButton");
+const evPackKwhInput = document.getElementById("evPackKwh");
+const evChargerKwInput = document.getElementById("evChargerKw");
+const evLossPercentInput = document.getElementById("evLossPercent");
+const evCurrentChargeInput = document.getElementById("evCurrentCharge");
+const evTargetChargeInput = document.getElementById("evTargetCharge");
+const evDepartureInput = document.getElementById("evDeparture");
+const evLoadModeSelect = document.getElementById("evLoadMode");
+const evButton = document.getElementById("evButton");
+const batteryCapacityInput = document.getElementById("batteryCapacity");
+const batteryPowerInput = document.getElementById("batteryPower");
+const batteryEfficiencyInput = document.getElementById("batteryEfficiency");
+const batterySocInput = document.getElementById("batterySoc");
+const batteryReserveInput = document.getElementById("batteryReserve");
+const batteryButton = document.getElementById("batteryButton");
+const loadProfileOptions = document.getElementById("load-profile-options");
+const loadProfilePresetSelect = document.getElementById("loadProfilePreset");
+const loadProfileInput = document.getElementById("loadProfile");
 const timeSlotSelect = document.getElementById("timeSlot");
+const userWindowPresetGroup = document.getElementById("userWindowPresets");
+const earliestStartInput = document.getElementById("earliestStart");
+const finishByInput = document.getElementById("finishBy");
+const windowPresetNameInput = document.getElementById("windowPresetName");
+const saveWindowPresetButton = document.getElementById(
+  "saveWindowPresetButton"
+);
+const deleteWindowPresetButton = document.getElementById(
+  "deleteWindowPresetButton"
+);
 const gridFeeInput = document.getElementById("gridFee");
+const gridTariffModeSelect = document.getElementById("gridTariffMode");
+const gridTariffOptions = document.getElementById("grid-tariff-options");
+const gridTariffPresetSelect = document.getElementById("gridTariffPreset");
+const gridTariffRulesInput = document.getElementById("gridTariffRules");
+const supplierMarkupInput = document.getElementById("supplierMarkup");
+const certificateFeeInput = document.getElementById("certificateFee");
+const supplierMonthlyFeeInput = document.getElementById("supplierMonthlyFee");
+const monthlyConsumptionInput = document.getElementById("monthlyConsumption");
+const fixedPriceInput = document.getElementById("fixedPrice");
+const compareContractsButton = document.getElementById(
+  "compareContractsButton"
+);
+const contractComparisonBox = document.getElementById("contract-comparison");
+const powerChargeInput = document.getElementById("powerCharge");
+const powerPeaksAveragedInput = document.getElementById("powerPeaksAveraged");
+const powerBaseLoadInput = document.getElementById("powerBaseLoad");
+const powerCurrentPeaksInput = document.getElementById("powerCurrentPeaks");
+const powerPeakHoursInput = document.getElementById("powerPeakHours");
 const energyTaxInput = document.getElementById("energyTax");
 const vatPercentageInput = document.getElementById("vatPercentage");
+const cacheRetentionDaysInput = document.getElementById("cacheRetentionDays");
+const priceProviderSelect = document.getElementById("priceProvider");
+const priceResolutionSelect = document.getElementById("priceResolution");
+const entsoeOptions = document.getElementById("entsoe-options");
+const entsoeTokenInput = document.getElementById("entsoeToken");
+const eurSekOptions = document.getElementById("eur-sek-options");
+const eurSekRateInput = document.getElementById("eurSekRate");
+const fixtureOptions = document.getElementById("fixture-options");
+const fixturePathInput = document.getElementById("fixturePath");
+const priceImportOptions = document.getElementById("price-import-options");
+const priceFileInput = document.getElementById("priceFile");
+const priceImportStatus = document.getElementById("price-import-status");
 const calculateButton = document.getElementById("calculateButton");
 const messageBox = document.getElementById("message-box");
 const slotResultsContainer = document.getElementById("slot-results-container");
 const loadingSpinner = document.getElementById("loading-spinner");
 const dataStatusBox = document.getElementById("data-status");
+const refreshStatus = document.getElementById("refresh-status");
 const currentTimeDisplay = document.getElementById("current-time");
 const disclaimerNote = document.getElementById("disclaimer-note");
 const chartContainer = document.getElementById("chart-container");
 const priceChartCanvas = document.getElementById("priceChart");
 
-// Determine if we should fetch tomorrow's prices based on current time
-const today = new Date();
-const shouldFetchNextDayPrice =
-  today.getHours() > 13 ||
-  (today.getHours() === 13 && today.getMinutes() >= 15);
-
 // LLM Elements
 const strategyGeneratorContainer = document.getElementById(
   "strategy-generator-container"
@@ -52,6 +396,352 @@ const generateStrategyButton = document.getElementById(
 const strategyOutput = document.getElementById("strategyOutput");
 const geminiLoadingSpinner = document.getElementById("gemini-loading-spinner");
 
+// --- Stockholm Time ---
+// Prices, delivery days and windows all follow Swedish wall-clock time, so
+// every date calculation goes through these helpers instead of the device's
+// own timezone.
+
+const stockholmPartsFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: STOCKHOLM_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+/**
+ * Splits an instant into Stockholm wall-clock parts (month is 1-12).
+ */
+function getStockholmParts(date) {
+  const parts = {};
+  stockholmPartsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Minutes Stockholm is ahead of UTC at the given instant (60 or 120).
+ */
+function getStockholmOffsetMinutes(date) {
+  const { year, month, day, hour, minute, second } = getStockholmParts(date);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round(
+    (wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000
+  );
+}
+
+/**
+ * The Stockholm delivery date of an instant as "YYYY-MM-DD".
+ */
+function getStockholmDateKey(date) {
+  const { year, month, day } = getStockholmParts(date);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Adds whole calendar days to a "YYYY-MM-DD" date key.
+ */
+function addStockholmDays(dateKey, days) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .split("T")[0];
+}
+
+/**
+ * The instant at which Stockholm's clock shows `hour:minute` on `dateKey`.
+ * Wall times repeated by the autumn DST change resolve to their first
+ * occurrence; times skipped in spring resolve to the hour after.
+ */
+function stockholmToDate(dateKey, hour = 0, minute = 0) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Stockholm is UTC+2 in summer and UTC+1 in winter; try the earlier first
+  const match = [120, 60]
+    .map((offset) => new Date(wallClockAsUtc - offset * 60000))
+    .find(
+      (date) =>
+        wallClockAsUtc - date.getTime() ===
+        getStockholmOffsetMinutes(date) * 60000
+    );
+  return match || new Date(wallClockAsUtc - 60 * 60000);
+}
+
+/**
+ * Number of price periods in a Stockholm delivery day: 96 normally, 92 on
+ * the spring DST day and 100 on the autumn DST day.
+ */
+function getStockholmPeriodsInDay(dateKey) {
+  const start = stockholmToDate(dateKey);
+  const end = stockholmToDate(addStockholmDays(dateKey, 1));
+  return Math.round((end - start) / (PERIOD_MINUTES * 60000));
+}
+
+/**
+ * Stockholm wall-clock time as "HH:MM".
+ */
+function formatStockholmTime(date) {
+  return date.toLocaleTimeString("sv-SE", {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: STOCKHOLM_TIME_ZONE,
+  });
+}
+
+/**
+ * Short Stockholm day label, e.g. "Oct 19".
+ */
+function formatStockholmDayTag(date) {
+  return date.toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: STOCKHOLM_TIME_ZONE,
+  });
+}
+
+/**
+ * Whether tomorrow's prices are due: they are published daily after 13:15
+ * Swedish time.
+ */
+function isNextDayPricePublished(now) {
+  const { hour, minute } = getStockholmParts(now);
+  return hour > 13 || (hour === 13 && minute >= 15);
+}
+
+// --- Grid Tariffs ---
+// A time-of-use grid tariff is a list of rules, one per line:
+//   <months> <weekdays> <hours> <fee>   e.g. "Nov-Mar Mon-Fri 06-22 0.61"
+// Each field is "*", a single value, a range or a comma-separated list of
+// them. Ranges may wrap ("Nov-Mar", "22-06") and hour ranges exclude their
+// end. The first rule matching a period's Stockholm start time sets its fee.
+// The monthly power charge (effektavgift) uses the same fields to say which
+// hours count toward the household's peaks.
+
+/**
+ * Parses one rule field into the set of values it covers, or `null`.
+ * `names` lists the accepted names in order; numbers start at `first`.
+ */
+function parseTariffField(field, count, first, names, endExclusive) {
+  const all = Array.from({ length: count }, (_, i) => i + first);
+  if (field === "*") {
+    return new Set(all);
+  }
+  const toValue = (token) => {
+    const nameIndex = names.indexOf(token.slice(0, 3).toLowerCase());
+    const value =
+      names.length && nameIndex !== -1 ? nameIndex + first : Number(token);
+    return Number.isInteger(value) && value >= first && value < first + count
+      ? value
+      : null;
+  };
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const [startToken, endToken] = part.split("-");
+    const start = toValue(startToken);
+    // An hour range may end at 24, i.e. midnight
+    const end =
+      endToken === undefined
+        ? start
+        : endExclusive && Number(endToken) === first + count
+        ? first
+        : toValue(endToken);
+    if (start === null || end === null) {
+      return null;
+    }
+    const span = (end - start + count) % count;
+    const length =
+      endToken === undefined ? 1 : endExclusive ? span || count : span + 1;
+    for (let i = 0; i < length; i++) {
+      values.add(((start - first + i) % count) + first);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses the "<months> <weekdays> <hours>" part of a tariff line into a rule,
+ * or returns `null` if any of the three fields is missing or invalid.
+ */
+function parseTariffTimes(months, weekdays, hours) {
+  const rule = {
+    months: months && parseTariffField(months, 12, 1, MONTH_NAMES, false),
+    weekdays:
+      weekdays && parseTariffField(weekdays, 7, 1, WEEKDAY_NAMES, false),
+    hours: hours && parseTariffField(hours, 24, 0, [], true),
+  };
+  return rule.months && rule.weekdays && rule.hours ? rule : null;
+}
+
+/**
+ * Whether a rule covers the Stockholm month, weekday and hour `timestamp`
+ * falls in.
+ */
+function tariffRuleMatches(rule, timestamp) {
+  const { year, month, day, hour } = getStockholmParts(timestamp);
+  // Monday = 1 ... Sunday = 7
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay() || 7;
+  return (
+    rule.months.has(month) && rule.weekdays.has(weekday) && rule.hours.has(hour)
+  );
+}
+
+/**
+ * Non-blank lines of a rules textarea that are not "#" comments, with their
+ * 1-based line numbers for error messages.
+ */
+function readTariffLines(text) {
+  return text
+    .split("\n")
+    .map((line, index) => ({ number: index + 1, text: line.trim() }))
+    .filter((line) => line.text && !line.text.startsWith("#"));
+}
+
+/**
+ * Parses time-of-use grid tariff rules. Blank lines and lines starting with
+ * "#" are skipped. Returns `{ rules }`, or `{ error }` naming the bad line.
+ */
+function parseGridTariffRules(text) {
+  const rules = [];
+  for (const line of readTariffLines(text)) {
+    const [months, weekdays, hours, fee, ...rest] = line.text.split(/\s+/);
+    const rule = parseTariffTimes(months, weekdays, hours);
+    const feeValue = Number(fee);
+    if (
+      !rule ||
+      rest.length ||
+      fee === undefined ||
+      isNaN(feeValue) ||
+      feeValue < 0
+    ) {
+      return {
+        error: `Grid tariff line ${line.number} ("${line.text}") should look like "Nov-Mar Mon-Fri 06-22 0.61": months, weekdays, hours and a fee in SEK/kWh.`,
+      };
+    }
+    rules.push({ ...rule, line: line.text, fee: feeValue });
+  }
+  if (!rules.length) {
+    return { error: "Please enter at least one time-of-use grid tariff rule." };
+  }
+  return { rules };
+}
+
+/**
+ * Grid fee (SEK/kWh excl. VAT) for a period starting at `timestamp`. Falls
+ * back to the flat grid fee when no tariff rule matches.
+ */
+function getGridFee(timestamp, userFees) {
+  const rules = userFees.gridTariff?.rules;
+  if (!rules) {
+    return userFees.gridFee;
+  }
+  const rule = rules.find((r) => tariffRuleMatches(r, timestamp));
+  return rule ? rule.fee : userFees.gridFee;
+}
+
+/**
+ * Parses the hours that count toward the monthly power peak, one
+ * "<months> <weekdays> <hours>" line each. Returns `{ rules }` or `{ error }`.
+ */
+function parsePowerPeakHours(text) {
+  const rules = [];
+  for (const line of readTariffLines(text)) {
+    const [months, weekdays, hours, ...rest] = line.text.split(/\s+/);
+    const rule = parseTariffTimes(months, weekdays, hours);
+    if (!rule || rest.length) {
+      return {
+        error: `Peak hours line ${line.number} ("${line.text}") should look like "Nov-Mar Mon-Fri 07-20": months, weekdays and hours.`,
+      };
+    }
+    rules.push({ ...rule, line: line.text });
+  }
+  if (!rules.length) {
+    return {
+      error:
+        'Please enter the hours that count toward the power peak, e.g. "* * *" for all hours.',
+    };
+  }
+  return { rules };
+}
+
+/**
+ * Average of the `count` highest hourly peaks (kW); months with fewer
+ * recorded peaks count the missing ones as 0 kW.
+ */
+function averageTopPeaks(peaksKw, count) {
+  const top = [...peaksKw].sort((a, b) => b - a).slice(0, count);
+  return top.reduce((sum, kw) => sum + kw, 0) / count;
+}
+
+/**
+ * Extra monthly power charge (SEK) caused by running `stepKwh` over
+ * `periods`. Each counted Stockholm hour averages the household's other load
+ * plus the appliance's kWh in that hour; hours in the current month compete
+ * with its recorded peaks, later months start from none.
+ * Returns `{ cost, peakKw }`, where `peakKw` is the highest counted hour or
+ * `null` if no hour of the run counts toward the peak.
+ */
+function computePowerCharge(periods, stepKwh, powerTariff) {
+  // Swedish hours start on whole UTC hours, so hours can be keyed in UTC
+  const hourMs = 60 * 60000;
+  const hours = new Map();
+  periods.forEach((p, index) => {
+    if (
+      !powerTariff.peakHours.some((rule) =>
+        tariffRuleMatches(rule, p.timestamp)
+      )
+    ) {
+      return;
+    }
+    const hourStart = Math.floor(p.timestamp.getTime() / hourMs) * hourMs;
+    hours.set(hourStart, (hours.get(hourStart) || 0) + stepKwh[index]);
+  });
+  if (!hours.size) {
+    return { cost: 0, peakKw: null };
+  }
+
+  const hoursByMonth = new Map();
+  hours.forEach((kwh, hourStart) => {
+    const monthKey = getStockholmDateKey(new Date(hourStart)).slice(0, 7);
+    const hourKw = powerTariff.baseLoadKw + kwh;
+    hoursByMonth.set(monthKey, [...(hoursByMonth.get(monthKey) || []), hourKw]);
+  });
+  return {
+    cost: computeMonthlyPeakCharge(hoursByMonth, powerTariff),
+    peakKw: Math.max(...hours.values()) + powerTariff.baseLoadKw,
+  };
+}
+
+/**
+ * Extra power charge (SEK) of counted hours, given as a map from month key
+ * to the kW of each hour including the household's other load.
+ */
+function computeMonthlyPeakCharge(hoursByMonth, powerTariff) {
+  let cost = 0;
+  hoursByMonth.forEach((hourKws, monthKey) => {
+    const peaksKw =
+      monthKey === powerTariff.monthKey ? powerTariff.currentPeaksKw : [];
+    const before = averageTopPeaks(peaksKw, powerTariff.peaksAveraged);
+    const after = averageTopPeaks(
+      [...peaksKw, ...hourKws],
+      powerTariff.peaksAveraged
+    );
+    cost += (after - before) * powerTariff.chargePerKw;
+  });
+  return cost;
+}
+
 // --- Utility Functions ---
 
 /**
@@ -67,79 +757,297 @@ function updateCurrentTime() {
     hour: "2-digit",
     minute: "2-digit",
     second: "2-digit",
+    timeZone: STOCKHOLM_TIME_ZONE,
     timeZoneName: "short",
   });
   currentTimeDisplay.textContent = timeStr;
 }
 
 /**
- * Helper to format Date objects for the API URL: YYYY/MM-DD_ZONE.json
+ * Parses a load profile typed as kW per 15-minute step, separated by commas,
+ * semicolons or spaces (e.g. "2.0, 0.7, 0.1"). Returns `null` if invalid.
+ */
+function parseLoadProfile(text) {
+  const steps = text
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number);
+  if (
+    !steps.length ||
+    steps.length > MAX_PROFILE_STEPS ||
+    steps.some((kw) => isNaN(kw) || kw < 0) ||
+    !steps.some((kw) => kw > 0)
+  ) {
+    return null;
+  }
+  return steps;
+}
+
+/**
+ * Escapes user-entered text for use inside HTML templates.
  */
-function getApiUrl(date, zone) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats an amount in SEK for display, e.g. "3.42 SEK".
+ */
+function formatSek(amount) {
+  return `${amount.toFixed(2)} SEK`;
+}
+
+/**
+ * Lets the browser download `text` as a file.
+ */
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Helper to format a Stockholm date key for the API URL: YYYY/MM-DD_ZONE.json
+ */
+function getApiUrl(dateKey, zone) {
+  const [year, month, day] = dateKey.split("-");
   return `${API_BASE_URL}${year}/${month}-${day}_${zone}.json`;
 }
 
 /**
- * Applies user-defined fees and VAT to a base price.
+ * Applies user-defined fees and VAT to a base price. `supplierFee` is the
+ * supplier's markup plus electricity certificate fee per kWh.
  */
-function applyUserFees(basePrice, vat, energyTax, gridFee) {
-  const totalFixedFee = energyTax + gridFee;
+function applyUserFees(basePrice, vat, energyTax, gridFee, supplierFee = 0) {
+  const totalFixedFee = energyTax + gridFee + supplierFee;
   let priceBeforeVAT = basePrice + totalFixedFee;
   const finalPrice = priceBeforeVAT * (1 + vat / 100);
   return finalPrice;
 }
 
+/**
+ * Builds one annotated price period. Each period carries its own length, so
+ * hourly and 15-minute prices can be told apart.
+ */
+function createPricePeriod(
+  timestamp,
+  durationMinutes,
+  basePrice,
+  gridFee,
+  calculatedPrice,
+  nowTime
+) {
+  return {
+    id: timestamp.getTime(),
+    timestamp: timestamp,
+    endTime: new Date(timestamp.getTime() + durationMinutes * 60000),
+    durationMinutes: durationMinutes,
+    dateKey: getStockholmDateKey(timestamp),
+    base_price: basePrice,
+    grid_fee: gridFee,
+    calculated_price: calculatedPrice,
+    isPast: timestamp.getTime() < nowTime,
+    dayTag: formatStockholmDayTag(timestamp),
+    available: true,
+  };
+}
+
 /**
  * Parses the raw API price data and annotates them, applying user fees.
+ * Periods starting before `now` are marked as past.
  */
-function parsePriceData(rawData, userFees) {
+function parsePriceData(rawData, userFees, now = new Date()) {
   if (!Array.isArray(rawData) || !rawData.length) {
     return [];
   }
-  const now = new Date();
   const nowTime = now.getTime();
 
   return rawData
     .map((item) => {
       const timestamp = new Date(item.time_start);
+      const durationMinutes = item.time_end
+        ? Math.round((new Date(item.time_end) - timestamp) / 60000)
+        : PERIOD_MINUTES;
 
+      const gridFee = getGridFee(timestamp, userFees);
       const finalPrice = applyUserFees(
         item.SEK_per_kWh,
         userFees.vat,
         userFees.energyTax,
-        userFees.gridFee
+        gridFee,
+        userFees.supplierMarkup + userFees.certificateFee
       );
 
-      const dayTag = timestamp.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-      return {
-        id: timestamp.getTime(),
-        timestamp: timestamp,
-        base_price: item.SEK_per_kWh,
-        calculated_price: finalPrice,
-        isPast: timestamp.getTime() < nowTime,
-        dayTag: dayTag,
-        available: true,
-      };
+      return createPricePeriod(
+        timestamp,
+        durationMinutes,
+        item.SEK_per_kWh,
+        gridFee,
+        finalPrice,
+        nowTime
+      );
     })
     .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
 }
 
 /**
- * Fetches prices for a single day with exponential backoff.
+ * Puts parsed prices on one grid for the search. "15" splits longer periods
+ * into quarter-hours at the same price, "60" averages the quarter-hours of
+ * every complete hour, and "auto" keeps a uniform series as published but
+ * splits a mixed one into quarter-hours. Periods starting before `now` are
+ * marked as past.
  */
-async function fetchPrices(date, zone, maxRetries = 3) {
-  const url = getApiUrl(date, zone);
-  const dateStr = date.toLocaleDateString("en-US", {
-    month: "short",
-    day: "numeric",
+function resamplePrices(prices, resolution, now = new Date()) {
+  const durations = new Set(prices.map((p) => p.durationMinutes));
+  const targetMinutes =
+    resolution === PRICE_RESOLUTIONS.auto
+      ? durations.size > 1
+        ? PERIOD_MINUTES
+        : null
+      : Number(resolution);
+  if (
+    !targetMinutes ||
+    (durations.size === 1 && durations.has(targetMinutes))
+  ) {
+    return prices;
+  }
+
+  const nowTime = now.getTime();
+  const quarterHours = prices.flatMap((p) =>
+    Array.from({ length: p.durationMinutes / PERIOD_MINUTES }, (_, i) =>
+      createPricePeriod(
+        new Date(p.timestamp.getTime() + i * PERIOD_MINUTES * 60000),
+        PERIOD_MINUTES,
+        p.base_price,
+        p.grid_fee,
+        p.calculated_price,
+        nowTime
+      )
+    )
+  );
+  if (targetMinutes === PERIOD_MINUTES) {
+    return quarterHours;
+  }
+
+  // Swedish hours start on whole UTC hours, so buckets can be keyed in UTC
+  const bucketMs = targetMinutes * 60000;
+  const buckets = new Map();
+  quarterHours.forEach((p) => {
+    const bucketStart = Math.floor(p.timestamp.getTime() / bucketMs) * bucketMs;
+    buckets.set(bucketStart, [...(buckets.get(bucketStart) || []), p]);
+  });
+  const average = (periods, key) =>
+    periods.reduce((sum, p) => sum + p[key], 0) / periods.length;
+  return [...buckets.entries()]
+    .filter(([, periods]) => periods.length === targetMinutes / PERIOD_MINUTES)
+    .map(([bucketStart, periods]) =>
+      createPricePeriod(
+        new Date(bucketStart),
+        targetMinutes,
+        average(periods, "base_price"),
+        average(periods, "grid_fee"),
+        average(periods, "calculated_price"),
+        nowTime
+      )
+    );
+}
+
+/**
+ * Length in minutes of the periods on a resampled grid.
+ */
+function getPeriodMinutes(prices) {
+  return prices[0]?.durationMinutes || PERIOD_MINUTES;
+}
+
+/**
+ * Total minutes covered by a list of periods.
+ */
+function sumPeriodMinutes(periods) {
+  return periods.reduce((sum, p) => sum + p.durationMinutes, 0);
+}
+
+/**
+ * Names a period length, e.g. "15-min" or "hourly".
+ */
+function formatResolution(minutes) {
+  return minutes === 60 ? "hourly" : `${minutes}-min`;
+}
+
+/**
+ * Names the resolution of raw price rows, e.g. "15-min", "hourly" or
+ * "mixed 15-min/hourly".
+ */
+function describeResolution(rawData) {
+  const names = [
+    ...new Set(
+      rawData.map((row) =>
+        Math.round((new Date(row.time_end) - new Date(row.time_start)) / 60000)
+      )
+    ),
+  ]
+    .sort((a, b) => a - b)
+    .map(formatResolution);
+  return names.length > 1 ? `mixed ${names.join("/")}` : names[0] || "";
+}
+
+/**
+ * Converts a load profile (kWh per 15-minute step) to kWh per period of the
+ * price grid, summing the steps that fall in each longer period.
+ */
+function resampleLoadProfile(stepKwh, periodMinutes) {
+  const stepsPerPeriod = Math.max(
+    1,
+    Math.round(periodMinutes / PERIOD_MINUTES)
+  );
+  const periodKwh = [];
+  stepKwh.forEach((kwh, step) => {
+    const period = Math.floor(step / stepsPerPeriod);
+    periodKwh[period] = (periodKwh[period] || 0) + kwh;
   });
+  return periodKwh;
+}
+
+/**
+ * A note for clock-change days, which last 23 or 25 hours (92 or 100
+ * quarter-hours); empty on ordinary days.
+ */
+function describeClockChange(dateKey) {
+  const expectedPeriods = getStockholmPeriodsInDay(dateKey);
+  const hours = (expectedPeriods * PERIOD_MINUTES) / 60;
+  return hours === 24
+    ? ""
+    : ` Clock change day: ${hours} hours (${expectedPeriods} quarter-hours).`;
+}
+
+/**
+ * Fetches prices for a single Stockholm day from the selected provider with
+ * exponential backoff. Rows outside the day are dropped. `offline` is set
+ * when the provider could not be reached, and `cachedAt` when the service
+ * worker answered with its copy instead.
+ */
+async function fetchPrices(dateKey, zone, settings, maxRetries = 3) {
+  const provider = PRICE_PROVIDERS[settings.provider];
+  const dateStr = formatStockholmDayTag(stockholmToDate(dateKey, 12));
+  const dstNote = describeClockChange(dateKey);
+  if (!provider.getUrl) {
+    return {
+      rawData: null,
+      status: `No ${provider.label} prices imported for ${dateStr}.`,
+    };
+  }
+  const url = provider.getUrl(dateKey, zone, settings);
+  if (!url) {
+    return { rawData: null, status: provider.missingSettings };
+  }
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
@@ -153,10 +1061,28 @@ async function fetchPrices(date, zone, maxRetries = 3) {
       }
 
       if (response.ok) {
-        const rawData = await response.json();
+        const rawData = (
+          await provider.parseResponse(response, zone, settings)
+        ).filter(
+          (row) => getStockholmDateKey(new Date(row.time_start)) === dateKey
+        );
+        if (!rawData.length) {
+          return {
+            rawData: null,
+            status: `Prices for ${dateStr} not yet released.`,
+          };
+        }
+        const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+        if (cachedAt) {
+          return {
+            rawData: rawData,
+            cachedAt,
+            status: `Could not reach ${provider.label}; the offline copy was used.`,
+          };
+        }
         return {
           rawData: rawData,
-          status: `Prices for ${dateStr} successfully loaded (${rawData.length} periods).`,
+          status: `Prices for ${dateStr} successfully loaded (${rawData.length} periods).${dstNote}`,
         };
       }
 
@@ -169,6 +1095,7 @@ async function fetchPrices(date, zone, maxRetries = 3) {
       if (attempt === maxRetries - 1) {
         return {
           rawData: null,
+          offline: true,
           status: `Failed to load prices for ${dateStr}. Network error.`,
         };
       }
@@ -179,474 +1106,5731 @@ async function fetchPrices(date, zone, maxRetries = 3) {
   }
   return {
     rawData: null,
+    offline: true,
     status: `Failed to load prices for ${dateStr} after retries.`,
   };
 }
 
+// --- Price Providers ---
+// Where prices come from. Every provider hands `parsePriceData` the same rows:
+// { SEK_per_kWh, time_start, time_end } with ISO timestamps. `getUrl` returns
+// `null` when a required setting is missing; providers without `getUrl` only
+// work from files imported in the data source settings (`parseFile`).
+
+const PRICE_PROVIDERS = {
+  elprisetjustnu: {
+    label: "elprisetjustnu.se",
+    getUrl: (dateKey, zone) => getApiUrl(dateKey, zone),
+    parseResponse: async (response) =>
+      normalizePriceRows(await response.json()),
+  },
+  entsoe: {
+    label: "ENTSO-E Transparency",
+    getUrl: getEntsoeUrl,
+    parseResponse: async (response, zone, settings) =>
+      parseEntsoeXml(await response.text(), settings.eurSekRate),
+    parseFile: (text, zone, settings) =>
+      parseEntsoeXml(text, settings.eurSekRate),
+    missingSettings:
+      "Add your ENTSO-E security token in the data source settings.",
+  },
+  nordpool: {
+    label: "Nord Pool CSV",
+    parseFile: (text, zone, settings) =>
+      parseNordPoolCsv(text, zone, settings.eurSekRate),
+  },
+  fixture: {
+    label: "Local fixture files",
+    getUrl: (dateKey, zone, settings) =>
+      `${settings.fixturePath}${dateKey}_${zone}.json`,
+    parseResponse: async (response) =>
+      normalizePriceRows(await response.json()),
+  },
+};
+
 /**
- * Checks local storage cache first, then fetches if data is missing or stale.
+ * Reduces rows in the elprisetjustnu.se format to the provider row shape.
  */
-async function checkCacheAndFetchPrices(zone) {
-  const todayDateStr = today.toISOString().split("T")[0];
+function normalizePriceRows(rows) {
+  if (!Array.isArray(rows)) {
+    throw new Error("Expected a JSON array of prices.");
+  }
+  return rows.map((row) => ({
+    SEK_per_kWh: Number(row.SEK_per_kWh),
+    time_start: new Date(row.time_start).toISOString(),
+    time_end: new Date(row.time_end).toISOString(),
+  }));
+}
 
-  let cachedData;
-  try {
-    const cacheStr = localStorage.getItem(cacheKeys.electricityPrices);
+/**
+ * Builds the ENTSO-E day-ahead price query for one Stockholm day, or `null`
+ * without a security token.
+ */
+function getEntsoeUrl(dateKey, zone, settings) {
+  if (!settings.entsoeToken) return null;
+  // The API takes UTC times as yyyyMMddHHmm
+  const toApiTime = (date) =>
+    date.toISOString().slice(0, 16).replace(/[-T:]/g, "");
+  const params = new URLSearchParams({
+    documentType: "A44",
+    "contract_MarketAgreement.type": "A01",
+    in_Domain: ENTSOE_AREA_CODES[zone],
+    out_Domain: ENTSOE_AREA_CODES[zone],
+    periodStart: toApiTime(stockholmToDate(dateKey)),
+    periodEnd: toApiTime(stockholmToDate(addStockholmDays(dateKey, 1))),
+    securityToken: settings.entsoeToken,
+  });
+  return `${ENTSOE_API_URL}?${params}`;
+}
 
-    if (cacheStr) {
-      cachedData = JSON.parse(cacheStr);
-    }
-  } catch (e) {
-    console.error("Error reading cache:", e);
-  }
-
-  // Check cache validity: must exist, be for the current zone, and cover today's date
-  if (cachedData?.zone === zone && cachedData?.dateFetched === todayDateStr) {
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    /**
-     * If tomorrow's data is missing, we will fetch it below if it is post 13:00 today.
-     */
-    if (!cachedData.tomorrow?.length) {
-      if (shouldFetchNextDayPrice) {
-        const tomorrowsData = await fetchPrices(tomorrow, zone);
-        cachedData.tomorrow = tomorrowsData.rawData || [];
-        // Update cache with newly fetched tomorrow data
-        localStorage.setItem(
-          cacheKeys.electricityPrices,
-          JSON.stringify(cachedData)
-        );
-      }
+/**
+ * Parses an ENTSO-E day-ahead price document (EUR/MWh) into provider rows.
+ * Points left out of a series repeat the previous price (curve type A03).
+ * A document without prices (e.g. an acknowledgement) yields no rows.
+ */
+function parseEntsoeXml(text, eurSekRate) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Not a valid XML document.");
+  }
+  const byTag = (parent, tag) => [...parent.getElementsByTagNameNS("*", tag)];
+  const textOf = (parent, tag) => byTag(parent, tag)[0]?.textContent.trim();
+
+  // Keyed by start time, so series repeated in one document count once
+  const rowsByStart = new Map();
+  byTag(doc, "Period").forEach((period) => {
+    const start = new Date(textOf(period, "start"));
+    const end = new Date(textOf(period, "end"));
+    const resolution = /^PT(?:(\d+)H)?(?:(\d+)M)?$/.exec(
+      textOf(period, "resolution") || ""
+    );
+    if (isNaN(start) || isNaN(end) || !resolution) {
+      throw new Error("A price period is missing its time interval.");
     }
+    const stepMs =
+      (Number(resolution[1] || 0) * 60 + Number(resolution[2] || 0)) * 60000;
 
-    const statusMessage = `Today: ✅ Cached. Tomorrow: ✅ Cached.`;
+    const pricesByPosition = [];
+    byTag(period, "Point").forEach((point) => {
+      pricesByPosition[Number(textOf(point, "position")) - 1] = Number(
+        textOf(point, "price.amount")
+      );
+    });
 
-    const allRawPrices = [...cachedData.today, ...cachedData.tomorrow].sort(
-      (a, b) =>
-        new Date(a.time_start).getTime() - new Date(b.time_start).getTime()
-    );
+    let price;
+    for (let i = 0; start.getTime() + i * stepMs < end.getTime(); i++) {
+      price = pricesByPosition[i] ?? price;
+      if (price === undefined) continue;
+      const timeStart = new Date(start.getTime() + i * stepMs);
+      rowsByStart.set(timeStart.getTime(), {
+        SEK_per_kWh: (price * eurSekRate) / 1000,
+        time_start: timeStart.toISOString(),
+        time_end: new Date(timeStart.getTime() + stepMs).toISOString(),
+      });
+    }
+  });
+  return [...rowsByStart.values()].sort((a, b) =>
+    a.time_start.localeCompare(b.time_start)
+  );
+}
 
-    return {
-      allRawPrices: allRawPrices,
-      statusMessage: statusMessage,
-      isCached: true,
-    };
+/**
+ * Parses a Nord Pool-style CSV export: one row per period with a start time
+ * and a price column per area, e.g. "SE3 (EUR)". Prices are per MWh unless
+ * the header says kWh, and in EUR unless it says SEK. Times without an offset
+ * are Stockholm wall-clock times.
+ */
+function parseNordPoolCsv(text, zone, eurSekRate) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim());
+  if (lines.length < 2) {
+    throw new Error("The CSV file has no price rows.");
   }
+  // Semicolon-separated exports use decimal commas
+  const delimiter = lines[0].includes(";") ? ";" : ",";
+  const splitRow = (line) =>
+    line.split(delimiter).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+  const header = splitRow(lines[0]).map((cell) => cell.toLowerCase());
 
-  // Fetch new data (Today and Tomorrow)
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowsFetch = shouldFetchNextDayPrice
-    ? fetchPrices(tomorrow, zone)
-    : Promise.resolve({ rawData: [] });
-  const [todayResult, tomorrowResult] = await Promise.all([
-    fetchPrices(today, zone),
-    tomorrowsFetch,
-  ]);
-
-  let statusMessage = [
-    `Today: ${todayResult.status}`,
-    `Tomorrow: ${tomorrowResult.status}`,
-  ].join(" | ");
+  const startColumn = Math.max(
+    0,
+    header.findIndex((cell) => /start|from/.test(cell))
+  );
+  const priceColumn = header.findIndex((cell) =>
+    cell.includes(zone.toLowerCase())
+  );
+  if (priceColumn === -1) {
+    throw new Error(`No price column for ${zone} in the CSV header.`);
+  }
+  const unitScale =
+    (header[priceColumn].includes("sek") ? 1 : eurSekRate) /
+    (header[priceColumn].includes("kwh") ? 1 : 1000);
 
-  const todayRaw = todayResult.rawData || [];
-  const tomorrowRaw = tomorrowResult.rawData || [];
+  const rows = [];
+  lines.slice(1).forEach((line) => {
+    const cells = splitRow(line);
+    const price = parseFloat((cells[priceColumn] || "").replace(",", "."));
+    let timeStart = parseCsvTime(cells[startColumn]);
+    if (isNaN(price) || !timeStart) return;
+    // The repeated hour when clocks go back maps to the same wall time
+    const previous = rows[rows.length - 1];
+    if (previous && timeStart <= previous.start) {
+      timeStart = new Date(timeStart.getTime() + 60 * 60000);
+    }
+    rows.push({ start: timeStart, price: price * unitScale });
+  });
 
-  const allRawPrices = [...todayRaw, ...tomorrowRaw].sort(
-    (a, b) =>
-      new Date(a.time_start).getTime() - new Date(b.time_start).getTime()
-  );
+  // Each period lasts until the next one starts; the last keeps the step
+  // before it
+  let stepMs = PERIOD_MINUTES * 60000;
+  return rows.map((row, index) => {
+    const next = rows[index + 1];
+    if (next && next.start - row.start <= 60 * 60000) {
+      stepMs = next.start - row.start;
+    }
+    return {
+      SEK_per_kWh: row.price,
+      time_start: row.start.toISOString(),
+      time_end: new Date(row.start.getTime() + stepMs).toISOString(),
+    };
+  });
+}
 
-  // Save to cache if data was successfully fetched for today and tomorrow
-  if (todayRaw.length || tomorrowRaw.length) {
-    localStorage.setItem(
-      cacheKeys.electricityPrices,
-      JSON.stringify({
-        dateFetched: todayDateStr,
-        zone: zone,
-        today: todayRaw,
-        tomorrow: tomorrowRaw,
-      })
+/**
+ * Parses a CSV time cell: ISO with an offset, or Stockholm wall-clock time as
+ * "YYYY-MM-DD HH:MM" or "DD.MM.YYYY HH:MM". Returns `null` if unreadable.
+ */
+function parseCsvTime(cell = "") {
+  if (/[zZ]|[+-]\d{2}:?\d{2}$/.test(cell)) {
+    const date = new Date(cell);
+    return isNaN(date) ? null : date;
+  }
+  const iso = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/.exec(cell);
+  const dotted = /^(\d{2})\.(\d{2})\.(\d{4})[T ](\d{2}):(\d{2})/.exec(cell);
+  if (iso) {
+    return stockholmToDate(`${iso[1]}-${iso[2]}-${iso[3]}`, +iso[4], +iso[5]);
+  }
+  if (dotted) {
+    return stockholmToDate(
+      `${dotted[3]}-${dotted[2]}-${dotted[1]}`,
+      +dotted[4],
+      +dotted[5]
     );
-    statusMessage += ` | Data successfully cached.`;
-  } else {
-    statusMessage += ` | Warning: Partial data. Not caching.`;
   }
-
-  return { allRawPrices, statusMessage, isCached: false };
+  return null;
 }
 
+// --- Price Cache ---
+// Delivery days are stored in IndexedDB, one record per zone and Stockholm
+// date: { zone, dateKey, prices, complete, fetchedAt, provider }. Without IndexedDB
+// (e.g. some private windows) every day is simply fetched again. Complete
+// past days loaded for the price history are also kept in the archive store,
+// in the same shape, which the cache retention does not prune.
+
+let priceDatabasePromise = null;
+
 /**
- * Finds the top N best *non-overlapping* consecutive hour blocks (Greedy Strategy).
+ * Opens the price database once, resolving to `null` if it is unavailable.
  */
-function findTopBestTimeSlots(availablePrices, hours, numSlots) {
-  const periodsNeeded = hours * 4;
-  const bestSlots = [];
+function openPriceDatabase() {
+  if (!priceDatabasePromise) {
+    priceDatabasePromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(cacheKeys.priceDatabase, 2);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(PRICE_DAY_STORE, {
+            keyPath: ["zone", "dateKey"],
+          });
+          store.createIndex("dateKey", "dateKey");
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(PRICE_ARCHIVE_STORE, {
+            keyPath: ["zone", "dateKey"],
+          });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error("Error opening price cache:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return priceDatabasePromise;
+}
 
-  const workingPrices = JSON.parse(JSON.stringify(availablePrices));
-  workingPrices.forEach((p) => {
-    p.timestamp = new Date(p.timestamp);
-    p.available = true;
+/**
+ * Runs `action(store)` in a transaction on the day store (or `storeName`)
+ * and resolves with the result of the request it returns (or `null` without
+ * a database).
+ */
+async function withPriceStore(mode, action, storeName = PRICE_DAY_STORE) {
+  const db = await openPriceDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
   });
+}
 
-  for (let k = 0; k < numSlots; k++) {
-    let cheapestCost = Infinity;
-    let bestBlockStartIndex = -1;
-    let bestBlockEndIndex = -1;
-
-    const availableIndices = workingPrices
-      .map((p, index) => (p.available ? index : -1))
-      .filter((index) => index !== -1);
+/**
+ * Reads one cached delivery day, or `null` if it isn't stored.
+ */
+async function readCachedDay(zone, dateKey) {
+  try {
+    return (
+      (await withPriceStore("readonly", (store) =>
+        store.get([zone, dateKey])
+      )) || null
+    );
+  } catch (e) {
+    console.error("Error reading price cache:", e);
+    return null;
+  }
+}
 
-    if (availableIndices.length < periodsNeeded) {
-      break;
-    }
+/**
+ * Stores one delivery day, replacing any earlier copy.
+ */
+async function writeCachedDay(record) {
+  try {
+    await withPriceStore("readwrite", (store) => store.put(record));
+  } catch (e) {
+    console.error("Error writing price cache:", e);
+  }
+}
 
-    for (let i = 0; i <= availableIndices.length - periodsNeeded; i++) {
-      const blockStartOriginalIndex = availableIndices[i];
-      const blockEndOriginalIndex = availableIndices[i + periodsNeeded - 1];
+/**
+ * Reads one archived day, or `null` if it isn't archived.
+ */
+async function readArchivedDay(zone, dateKey) {
+  try {
+    return (
+      (await withPriceStore(
+        "readonly",
+        (store) => store.get([zone, dateKey]),
+        PRICE_ARCHIVE_STORE
+      )) || null
+    );
+  } catch (e) {
+    console.error("Error reading price archive:", e);
+    return null;
+  }
+}
 
-      if (
-        blockEndOriginalIndex - blockStartOriginalIndex ===
-        periodsNeeded - 1
-      ) {
-        const currentBlock = workingPrices.slice(
-          blockStartOriginalIndex,
-          blockEndOriginalIndex + 1
-        );
-        const currentCost = currentBlock.reduce(
-          (sum, p) => sum + p.calculated_price,
-          0
-        );
+/**
+ * Archives one complete past day, replacing any earlier copy.
+ */
+async function writeArchivedDay(record) {
+  try {
+    await withPriceStore(
+      "readwrite",
+      (store) => store.put(record),
+      PRICE_ARCHIVE_STORE
+    );
+  } catch (e) {
+    console.error("Error writing price archive:", e);
+  }
+}
 
-        if (currentCost < cheapestCost) {
-          cheapestCost = currentCost;
-          bestBlockStartIndex = blockStartOriginalIndex;
-          bestBlockEndIndex = blockEndOriginalIndex;
+/**
+ * Deletes every cached day, in all zones, dated before `oldestDateKey`.
+ */
+async function prunePriceCache(oldestDateKey) {
+  try {
+    await withPriceStore("readwrite", (store) => {
+      const range = IDBKeyRange.upperBound(oldestDateKey, true);
+      const cursorRequest = store.index("dateKey").openCursor(range);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
         }
-      }
-    }
-
-    if (bestBlockStartIndex !== -1) {
-      const bestBlock = workingPrices.slice(
-        bestBlockStartIndex,
-        bestBlockEndIndex + 1
-      );
-      const startTime = bestBlock[0].timestamp;
-      const endTime = bestBlock[bestBlock.length - 1].timestamp;
-      const totalCost = cheapestCost;
-      const avgPrice = cheapestCost / periodsNeeded;
-
-      bestSlots.push({
-        rank: k + 1,
-        startTime: startTime,
-        endTime: new Date(endTime.getTime() + 15 * 60000),
-        averagePrice: avgPrice,
-        totalCost: totalCost,
-        periods: bestBlock,
-      });
-
-      for (let i = bestBlockStartIndex; i <= bestBlockEndIndex; i++) {
-        workingPrices[i].available = false;
-      }
-    } else {
-      break;
-    }
+      };
+      return null;
+    });
+  } catch (e) {
+    console.error("Error pruning price cache:", e);
   }
-
-  return bestSlots;
 }
 
 /**
- * Renders the price chart using Chart.js with highlighted slots.
+ * Whether the raw prices cover the whole Stockholm day, from midnight to
+ * midnight without gaps.
  */
-function renderPriceChart(allPrices, bestSlots) {
-  chartContainer.classList.remove("hidden");
-
-  const labels = allPrices.map((p) => {
-    const time = p.timestamp.toLocaleTimeString("sv-SE", {
-      hour: "2-digit",
-      minute: "2-digit",
+function isDayComplete(dateKey, rawData) {
+  const dayStart = stockholmToDate(dateKey).getTime();
+  const dayEnd = stockholmToDate(addStockholmDays(dateKey, 1)).getTime();
+  let coveredUntil = dayStart;
+  [...rawData]
+    .sort((a, b) => new Date(a.time_start) - new Date(b.time_start))
+    .forEach((item) => {
+      if (new Date(item.time_start).getTime() === coveredUntil) {
+        coveredUntil = new Date(item.time_end).getTime();
+      }
     });
-    return `${p.dayTag} ${time}`;
-  });
-  const prices = allPrices.map((p) => p.calculated_price);
-
-  const highlightData = allPrices.map(() => null);
-  const bestSlotTimestamps = new Set();
+  return coveredUntil >= dayEnd;
+}
 
-  bestSlots.forEach((slot) => {
-    slot.periods.forEach((p) => {
-      bestSlotTimestamps.add(new Date(p.timestamp).getTime());
-    });
-  });
+/**
+ * Loads one delivery day, from the cache if it holds the complete day from
+ * the selected provider and from the provider otherwise. `source` is
+ * "cache", "network" or `null` when no prices could be loaded. When the
+ * fetch fails, the last known prices for the day are used (from any
+ * provider, or the service worker's copy) and marked `stale`.
+ */
+async function loadPriceDay(zone, dateKey, mayFetch, settings) {
+  const stored = await readCachedDay(zone, dateKey);
+  // Days cached before providers were added came from elprisetjustnu.se
+  const cached =
+    (stored?.provider || DEFAULT_PRICE_PROVIDER) === settings.provider
+      ? stored
+      : null;
+  if (cached?.complete || (cached && !mayFetch)) {
+    return { dateKey, source: "cache", ...cached };
+  }
+  if (!mayFetch) {
+    return {
+      dateKey,
+      source: null,
+      prices: [],
+      status: "Not published before 13:15 Swedish time.",
+    };
+  }
 
-  allPrices.forEach((p, index) => {
-    if (bestSlotTimestamps.has(p.timestamp.getTime())) {
-      highlightData[index] = p.calculated_price;
-    }
-  });
+  const result = await fetchPrices(dateKey, zone, settings);
+  if (result.offline && stored) {
+    return {
+      dateKey,
+      source: "cache",
+      ...stored,
+      stale: true,
+      status: result.status,
+    };
+  }
+  if (!result.rawData?.length) {
+    // Keep showing a partial day we already had rather than nothing
+    return cached
+      ? { dateKey, source: "cache", ...cached, status: result.status }
+      : { dateKey, source: null, prices: [], status: result.status };
+  }
+  const record = {
+    zone,
+    dateKey,
+    prices: result.rawData,
+    complete: isDayComplete(dateKey, result.rawData),
+    fetchedAt: result.cachedAt || Date.now(),
+    provider: settings.provider,
+  };
+  await writeCachedDay(record);
+  if (result.cachedAt) {
+    return { source: "cache", ...record, stale: true, status: result.status };
+  }
+  return { source: "network", ...record, status: result.status };
+}
 
-  if (priceChartInstance) {
-    priceChartInstance.destroy();
+/**
+ * Describes where one day's prices came from, for the status box.
+ */
+function describePriceDay(label, day) {
+  const dayStr = `${label} (${formatStockholmDayTag(
+    stockholmToDate(day.dateKey, 12)
+  )})`;
+  if (!day.source) {
+    return `${dayStr}: ${day.status}`;
+  }
+  const periodsStr = `${day.prices.length} ${describeResolution(
+    day.prices
+  )} periods`;
+  const completeness = day.complete ? periodsStr : `⚠️ partial, ${periodsStr}`;
+  const dstNote = describeClockChange(day.dateKey);
+  const providerLabel =
+    PRICE_PROVIDERS[day.provider || DEFAULT_PRICE_PROVIDER]?.label ||
+    day.provider;
+  if (day.source === "network") {
+    return `${dayStr}: 🌐 Fetched now from ${providerLabel} (${completeness}).${dstNote}`;
   }
+  const fetchedAt = formatWindowTime(new Date(day.fetchedAt));
+  if (day.stale) {
+    return `${dayStr}: ⚠️ <strong>Stale</strong>, offline: last known prices from ${providerLabel}, ${describeAge(
+      day.fetchedAt
+    )} old (${completeness}, fetched ${fetchedAt}).${dstNote} ${day.status}`;
+  }
+  const retryNote = day.status ? ` Refresh failed: ${day.status}` : "";
+  return `${dayStr}: ✅ From cache, supplied by ${providerLabel} (${completeness}, fetched ${fetchedAt}).${dstNote}${retryNote}`;
+}
 
-  const ctx = priceChartCanvas.getContext("2d");
-  priceChartInstance = new Chart(ctx, {
-    type: "line",
-    data: {
-      labels: labels,
-      datasets: [
-        {
-          label: "Calculated Price (SEK/kWh)",
-          data: prices,
-          borderColor: CHART_COLORS.base,
-          backgroundColor: CHART_COLORS.background,
-          borderWidth: 2,
-          pointRadius: 2,
-          tension: 0.2,
-          fill: true,
-          yAxisID: "y",
-        },
-        {
-          label: "Cheapest Slot Highlight",
-          data: highlightData,
-          borderColor: CHART_COLORS.highlight,
-          backgroundColor: CHART_COLORS.highlight,
-          pointRadius: 7,
-          pointBackgroundColor: CHART_COLORS.highlight,
-          pointBorderColor: "#fff",
-          pointBorderWidth: 2,
-          showLine: false,
-          yAxisID: "y",
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: true,
-      plugins: {
-        legend: { display: false },
-        tooltip: {
-          callbacks: {
-            title: function (context) {
-              return labels[context[0].dataIndex];
-            },
-            label: function (context) {
-              return `Price: ${context.formattedValue} ${TARGET_CURRENCY_UNIT}`;
-            },
-          },
-        },
-      },
-      scales: {
-        y: {
-          type: "linear",
-          display: true,
-          position: "left",
-          title: {
-            display: true,
-            text: `Price (${TARGET_CURRENCY_UNIT})`,
-          },
-          beginAtZero: true,
-        },
-        x: {
-          ticks: {
-            maxRotation: 90,
-            minRotation: 90,
-            autoSkip: true,
-            maxTicksLimit: 12,
-          },
-          grid: {
-            display: false,
-          },
-        },
-      },
-    },
-  });
+/**
+ * How long ago `timestamp` was, e.g. "40 min", "3 h" or "2 days".
+ */
+function describeAge(timestamp) {
+  const minutes = Math.max(0, Math.round((Date.now() - timestamp) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} h`;
+  return `${Math.round(hours / 24)} days`;
 }
 
-function renderSlot(slot) {
-  const dayTag = slot.periods[0].dayTag;
-  const timeOptions = {
-    hour: "2-digit",
-    minute: "2-digit",
-    timeZone: "Europe/Stockholm",
-  };
-  const startTimeStr = slot.startTime.toLocaleTimeString("sv-SE", timeOptions);
-  const endTimeStr = slot.endTime.toLocaleTimeString("sv-SE", timeOptions);
+/**
+ * Loads today's and tomorrow's prices for a zone, using cached days where
+ * possible, and reports per day whether it came from the cache or the
+ * network. `isStale` is set when offline and showing the last known prices.
+ * Days older than the retention period are removed.
+ */
+async function checkCacheAndFetchPrices(zone) {
+  const now = new Date();
+  const settings = readPriceSourceSettings();
+  const todayDateStr = getStockholmDateKey(now);
+  const tomorrowDateStr = addStockholmDays(todayDateStr, 1);
 
-  const rankClass =
-    slot.rank === 1
-      ? "bg-green-100 border-green-400"
-      : "bg-blue-50 border-blue-200";
-  const priceColor = slot.rank === 1 ? "text-green-800" : "text-blue-700";
-  const hours = slot.periods.length / 4;
+  await prunePriceCache(
+    addStockholmDays(todayDateStr, 1 - readCacheRetentionDays())
+  );
+  const [todayDay, tomorrowDay] = await Promise.all([
+    loadPriceDay(zone, todayDateStr, true, settings),
+    loadPriceDay(zone, tomorrowDateStr, isNextDayPricePublished(now), settings),
+  ]);
+  const days = [todayDay, tomorrowDay];
 
-  const priceDetails = slot.periods
-    .map((p) => {
-      const time = p.timestamp.toLocaleTimeString("sv-SE", timeOptions);
-      const price = p.calculated_price.toFixed(4);
-      const basePrice = p.base_price.toFixed(4);
-      return `<li class="text-xs">
-                    ${time}: <span class="font-semibold">${price} ${TARGET_CURRENCY_UNIT}</span> (Spot: ${basePrice} SEK)
-                </li>`;
-    })
-    .join("");
-  const { totalCost, averagePrice, rank } = slot;
-  const formattedTotalCost = totalCost.toFixed(4);
-  const formattedAveragePrice = averagePrice.toFixed(4);
+  const statusMessage = [
+    describePriceDay("Today", todayDay),
+    describePriceDay("Tomorrow", tomorrowDay),
+  ].join("<br>");
 
-  return `
-                <div class="p-4 rounded-lg border shadow-lg ${rankClass} transition-shadow duration-300 hover:shadow-xl">
-                    <h3 class="font-extrabold text-xl mb-2 flex items-center justify-between">
-                        <span class="text-gray-700">#${rank}</span>
-                        <span class="text-sm font-semibold px-2 py-1 rounded-full min-w-[30%] md:min-w-0 ${
-                          rank === 1 ? "bg-green-300" : "bg-blue-200"
-                        } text-gray-800">${dayTag}</span>
-                    </h3>
-                    
-                    <p class="font-extrabold text-3xl ${priceColor} mt-1">${startTimeStr} - ${endTimeStr}</p>
-                    <p class="mt-2 text-lg text-gray-600">
-                        <span class="font-semibold">Total Cost (per 1 kWh/period):</span> 
-                        <span class="font-extrabold ${priceColor}">${formattedTotalCost} ${TARGET_CURRENCY_UNIT}</span>
-                    </p>
-                    <p class="text-lg text-gray-600">
-                        <span class="font-semibold">Average Calculated Price:</span> 
-                        <span class="font-extrabold ${priceColor}">${formattedAveragePrice} ${TARGET_CURRENCY_UNIT}</span>
-                    </p>
+  const allRawPrices = days
+    .flatMap((day) => day.prices)
+    .sort(
+      (a, b) =>
+        new Date(a.time_start).getTime() - new Date(b.time_start).getTime()
+    );
 
-                    <details class="mt-4 cursor-pointer">
-                        <summary class="text-sm text-gray-600 hover:text-gray-800 font-medium">Show 15-Min Price Breakdown (Calculated vs. Spot)</summary>
-                        <ul class="list-disc list-inside mt-2 max-h-40 overflow-y-auto bg-white p-2 rounded border border-gray-100 space-y-0">
-                            ${priceDetails}
-                        </ul>
-                    </details>
-                </div>
-            `;
+  return {
+    allRawPrices,
+    statusMessage,
+    isCached: days.every((day) => day.source !== "network"),
+    isStale: days.some((day) => day.stale),
+    days: days.map(
+      ({ dateKey, source, complete, fetchedAt, provider, stale }) => ({
+        dateKey,
+        source,
+        complete: !!complete,
+        stale: !!stale,
+        fetchedAt: fetchedAt || null,
+        provider: source ? provider || DEFAULT_PRICE_PROVIDER : null,
+      })
+    ),
+  };
 }
 
-// --- LLM Logic ---
+/**
+ * Whether `current` starts exactly when the `previous` period ends.
+ */
+function followsDirectly(previous, current) {
+  return current.timestamp.getTime() === previous.endTime.getTime();
+}
 
 /**
- * Calls the Gemini API with exponential backoff.
+ * Builds a prefix-sum array over `priceKey` (`calculated_price` by default),
+ * so the cost of any window [start, end) is `prefix[end] - prefix[start]`.
+ */
+function buildPrefixSums(prices, priceKey = "calculated_price") {
+  const prefix = new Array(prices.length + 1);
+  prefix[0] = 0;
+  for (let i = 0; i < prices.length; i++) {
+    prefix[i + 1] = prefix[i] + prices[i][priceKey];
+  }
+  return prefix;
+}
+
+/**
+ * Computes the cost of every contiguous window of `periodsNeeded` periods
+ * with a single sliding pass. Windows that span a gap in the series (e.g.
+ * between the evening of today and the evening of tomorrow) get `null`.
+ * With `stepWeights` each period's price is weighted by the matching step
+ * (e.g. kWh of a load profile) instead of being summed as is.
+ */
+function computeWindowCosts(
+  prices,
+  periodsNeeded,
+  stepWeights = null,
+  priceKey = "calculated_price"
+) {
+  const windowCount = prices.length - periodsNeeded + 1;
+  if (periodsNeeded < 1 || windowCount < 1) {
+    return [];
+  }
+
+  // runIds[i] increases every time period i does not directly follow i - 1
+  const runIds = new Array(prices.length);
+  let runId = 0;
+  prices.forEach((p, i) => {
+    if (i > 0 && !followsDirectly(prices[i - 1], p)) {
+      runId++;
+    }
+    runIds[i] = runId;
+  });
+
+  const prefix = stepWeights ? null : buildPrefixSums(prices, priceKey);
+  const costs = new Array(windowCount);
+  for (let start = 0; start < windowCount; start++) {
+    const end = start + periodsNeeded;
+    if (runIds[start] !== runIds[end - 1]) {
+      costs[start] = null;
+    } else if (prefix) {
+      costs[start] = prefix[end] - prefix[start];
+    } else {
+      let cost = 0;
+      for (let step = 0; step < periodsNeeded; step++) {
+        cost += prices[start + step][priceKey] * stepWeights[step];
+      }
+      costs[start] = cost;
+    }
+  }
+  return costs;
+}
+
+/**
+ * Expands a load into the kWh used in each step of the run. `load` is either
+ * a constant kWh per period or a load profile array with kWh per step.
+ */
+function getLoadSteps(load, periodsNeeded) {
+  return Array.isArray(load) ? load : new Array(periodsNeeded).fill(load);
+}
+
+/**
+ * SEK cost of a run starting at each period (`null` where it does not fit).
+ * With a `powerTariff` the extra monthly power charge of each run is added.
+ * `priceKey` picks another per-kWh price to add up, such as `rank_price`.
+ */
+function computeRunCosts(
+  prices,
+  periodsNeeded,
+  load,
+  powerTariff = null,
+  priceKey = "calculated_price"
+) {
+  const energyCosts = Array.isArray(load)
+    ? computeWindowCosts(prices, periodsNeeded, load, priceKey)
+    : computeWindowCosts(prices, periodsNeeded, null, priceKey).map((cost) =>
+        cost === null ? null : cost * load
+      );
+  if (!powerTariff) {
+    return energyCosts;
+  }
+  const stepKwh = getLoadSteps(load, periodsNeeded);
+  return energyCosts.map((cost, start) =>
+    cost === null
+      ? null
+      : cost +
+        computePowerCharge(
+          prices.slice(start, start + periodsNeeded),
+          stepKwh,
+          powerTariff
+        ).cost
+  );
+}
+
+/**
+ * Greedy selection: repeatedly takes the cheapest window that does not overlap
+ * an already chosen one. Returns window start indices in pick order.
+ */
+function selectGreedyWindows(windowCosts, periodsNeeded, numSlots) {
+  const candidates = windowCosts
+    .map((cost, start) => ({ start, cost }))
+    .filter((w) => w.cost !== null)
+    .sort((a, b) => a.cost - b.cost || a.start - b.start);
+
+  const chosen = [];
+  for (const candidate of candidates) {
+    if (chosen.length >= numSlots) break;
+    const overlaps = chosen.some(
+      (start) => Math.abs(start - candidate.start) < periodsNeeded
+    );
+    if (!overlaps) {
+      chosen.push(candidate.start);
+    }
+  }
+  return chosen;
+}
+
+/**
+ * Optimal selection: dynamic programming over the window costs that finds the
+ * set of non-overlapping windows with the lowest combined cost. If `numSlots`
+ * windows do not fit, the largest number that does fit is returned.
+ */
+function selectOptimalWindows(windowCosts, periodsNeeded, numSlots) {
+  const n = windowCosts.length + periodsNeeded - 1;
+  if (!windowCosts.length) {
+    return [];
+  }
+
+  // best[k][i]: cheapest cost of k windows using only the first i periods
+  // took[k][i]: whether that optimum ends with a window finishing at period i
+  const best = [new Array(n + 1).fill(0)];
+  const took = [new Array(n + 1).fill(false)];
+
+  for (let k = 1; k <= numSlots; k++) {
+    best[k] = new Array(n + 1).fill(Infinity);
+    took[k] = new Array(n + 1).fill(false);
+    for (let i = 1; i <= n; i++) {
+      best[k][i] = best[k][i - 1];
+      const start = i - periodsNeeded;
+      if (start < 0 || windowCosts[start] === null) continue;
+      const withWindow = best[k - 1][start] + windowCosts[start];
+      if (withWindow < best[k][i]) {
+        best[k][i] = withWindow;
+        took[k][i] = true;
+      }
+    }
+  }
+
+  let k = numSlots;
+  while (k > 0 && best[k][n] === Infinity) {
+    k--;
+  }
+
+  const chosen = [];
+  let i = n;
+  while (k > 0 && i > 0) {
+    if (took[k][i]) {
+      chosen.push(i - periodsNeeded);
+      i -= periodsNeeded;
+      k--;
+    } else {
+      i--;
+    }
+  }
+  return chosen;
+}
+
+/**
+ * Finds the top N *non-overlapping* consecutive blocks of at least
+ * `minutesNeeded` using the chosen selection strategy ("optimal" or
+ * "greedy"). Slots are ranked by the SEK cost of the run; `load` is the
+ * appliance's kWh per period, or a load profile array with kWh per period
+ * so heavy steps land on cheap periods. With a `powerTariff` the run cost
+ * includes the power charge, kept apart in `powerCost`. A `ranking` of
+ * `{ priceKey, costShare }` ranks on that per-kWh price instead (see
+ * `applyCarbonWeight`), with the power charge counted at `costShare`.
+ */
+function findTopBestTimeSlots(
+  availablePrices,
+  minutesNeeded,
+  numSlots,
+  strategy = SLOT_STRATEGIES.optimal,
+  load = 1,
+  powerTariff = null,
+  ranking = null
+) {
+  const periodsNeeded = Math.ceil(
+    minutesNeeded / getPeriodMinutes(availablePrices)
+  );
+  const windowCosts = computeRunCosts(
+    availablePrices,
+    periodsNeeded,
+    load,
+    powerTariff
+  );
+  const stepKwh = getLoadSteps(load, periodsNeeded);
+  const energyKwh = stepKwh.reduce((sum, kwh) => sum + kwh, 0);
+
+  let rankCosts = windowCosts;
+  if (ranking) {
+    const energyCosts = computeRunCosts(availablePrices, periodsNeeded, load);
+    rankCosts = computeRunCosts(
+      availablePrices,
+      periodsNeeded,
+      load,
+      null,
+      ranking.priceKey
+    ).map((score, start) =>
+      score === null
+        ? null
+        : score + ranking.costShare * (windowCosts[start] - energyCosts[start])
+    );
+  }
+
+  const chosenStarts =
+    strategy === SLOT_STRATEGIES.greedy
+      ? selectGreedyWindows(rankCosts, periodsNeeded, numSlots)
+      : selectOptimalWindows(rankCosts, periodsNeeded, numSlots);
+
+  return chosenStarts
+    .sort((a, b) => rankCosts[a] - rankCosts[b] || a - b)
+    .map((start, index) => {
+      const cost = windowCosts[start];
+      const block = availablePrices.slice(start, start + periodsNeeded);
+      const power = powerTariff
+        ? computePowerCharge(block, stepKwh, powerTariff)
+        : null;
+      const energyCost = power ? cost - power.cost : cost;
+
+      return {
+        rank: index + 1,
+        startTime: block[0].timestamp,
+        endTime: block[block.length - 1].endTime,
+        averagePrice: energyCost / energyKwh,
+        totalCost: block.reduce((sum, p) => sum + p.calculated_price, 0),
+        energyKwh: energyKwh,
+        runCost: cost,
+        powerCost: power ? power.cost : null,
+        powerPeakKw: power ? power.peakKw : null,
+        stepKwh: stepKwh,
+        periods: block,
+      };
+    });
+}
+
+/**
+ * Cost of the same continuous run if it were started at the next period,
+ * or `null` when not enough upcoming prices are published.
+ */
+function findRunStartingNow(
+  allPrices,
+  periodsNeeded,
+  load,
+  powerTariff = null
+) {
+  const upcomingPrices = allPrices.filter((p) => !p.isPast);
+  const [cost] = computeRunCosts(
+    upcomingPrices,
+    periodsNeeded,
+    load,
+    powerTariff
+  );
+  if (typeof cost !== "number") {
+    return null;
+  }
+  return {
+    startTime: upcomingPrices[0].timestamp,
+    runCost: cost,
+  };
+}
+
+/**
+ * Runs both selection strategies and summarises how their combined costs
+ * differ, so the results can show what the optimal selection gains.
+ */
+function compareSlotStrategies(
+  availablePrices,
+  minutesNeeded,
+  numSlots,
+  load = 1,
+  powerTariff = null
+) {
+  const sumCost = (slots) => slots.reduce((sum, s) => sum + s.runCost, 0);
+  const optimal = findTopBestTimeSlots(
+    availablePrices,
+    minutesNeeded,
+    numSlots,
+    SLOT_STRATEGIES.optimal,
+    load,
+    powerTariff
+  );
+  const greedy = findTopBestTimeSlots(
+    availablePrices,
+    minutesNeeded,
+    numSlots,
+    SLOT_STRATEGIES.greedy,
+    load,
+    powerTariff
+  );
+
+  return {
+    optimalCount: optimal.length,
+    optimalCost: sumCost(optimal),
+    greedyCount: greedy.length,
+    greedyCost: sumCost(greedy),
+  };
+}
+
+/**
+ * Finds the cheapest set of periods for a load that can be split into
+ * pieces (water heater, pool pump, EV charging). Each piece must run for at
+ * least `minRunPeriods` periods and at most `maxSegments` pieces may be used
+ * (`null` for no limit). Returns `null` when no set satisfies the limits.
+ * Periods are picked on `priceKey`; the plan's costs are always in SEK.
+ */
+function findCheapestInterruptiblePeriods(
+  prices,
+  periodsNeeded,
+  minRunPeriods = 1,
+  maxSegments = null,
+  kwhPerPeriod = 1,
+  priceKey = "calculated_price"
+) {
+  const n = prices.length;
+  if (periodsNeeded < 1 || n < periodsNeeded) {
+    return null;
+  }
+
+  // State: (periods picked j, segments used s, current run length r capped
+  // at the minimum run m). Segments are only tracked when the limit can bite:
+  // no valid plan has more than floor(periodsNeeded / m) segments anyway.
+  const m = Math.max(1, Math.min(minRunPeriods, periodsNeeded));
+  if (maxSegments && maxSegments >= Math.floor(periodsNeeded / m)) {
+    maxSegments = null;
+  }
+  const segmentStates = (maxSegments || 0) + 1;
+  const runStates = m + 1;
+  const stateCount = (periodsNeeded + 1) * segmentStates * runStates;
+  const stateIndex = (j, s, r) => (j * segmentStates + s) * runStates + r;
+
+  // from[i][state] remembers how the state was reached at period i:
+  // +(prevRun + 1) when period i was picked, -(prevRun + 1) when skipped.
+  const from = new Int16Array(n * stateCount);
+  let costs = new Float64Array(stateCount).fill(Infinity);
+  let next = new Float64Array(stateCount);
+  costs[stateIndex(0, 0, 0)] = 0;
+
+  for (let i = 0; i < n; i++) {
+    const gapBefore = i > 0 && !followsDirectly(prices[i - 1], prices[i]);
+    const price = prices[i][priceKey];
+    const offset = i * stateCount;
+    next.fill(Infinity);
+
+    // Only pick counts that can still reach `periodsNeeded` are worth visiting
+    const minJ = Math.max(0, periodsNeeded - (n - i));
+    const maxJ = Math.min(i, periodsNeeded);
+    for (let j = minJ; j <= maxJ; j++) {
+      for (let s = 0; s < segmentStates; s++) {
+        for (let r = 0; r <= m; r++) {
+          const cost = costs[stateIndex(j, s, r)];
+          if (cost === Infinity) continue;
+          const runClosable = r === 0 || r === m;
+          if (gapBefore && !runClosable) continue;
+
+          if (runClosable) {
+            const target = stateIndex(j, s, 0);
+            if (cost < next[target]) {
+              next[target] = cost;
+              from[offset + target] = -(r + 1);
+            }
+          }
+
+          if (j === periodsNeeded) continue;
+          const startsRun = r === 0 || gapBefore;
+          const nextS = maxSegments && startsRun ? s + 1 : s;
+          if (nextS >= segmentStates) continue;
+          const nextR = startsRun ? 1 : Math.min(r + 1, m);
+          const target = stateIndex(j + 1, nextS, nextR);
+          if (cost + price < next[target]) {
+            next[target] = cost + price;
+            from[offset + target] = r + 1;
+          }
+        }
+      }
+    }
+    [costs, next] = [next, costs];
+  }
+
+  let bestState = -1;
+  let bestCost = Infinity;
+  for (let s = 0; s < segmentStates; s++) {
+    for (const r of [0, m]) {
+      const state = stateIndex(periodsNeeded, s, r);
+      if (costs[state] < bestCost) {
+        bestCost = costs[state];
+        bestState = state;
+      }
+    }
+  }
+  if (bestState === -1) {
+    return null;
+  }
+
+  // Walk the decisions back to recover which periods were picked
+  const picked = [];
+  let j = periodsNeeded;
+  let s = Math.floor(bestState / runStates) % segmentStates;
+  let state = bestState;
+  for (let i = n - 1; i >= 0; i--) {
+    const step = from[i * stateCount + state];
+    const prevR = Math.abs(step) - 1;
+    if (step > 0) {
+      const gapBefore = i > 0 && !followsDirectly(prices[i - 1], prices[i]);
+      picked.push(i);
+      if (maxSegments && (prevR === 0 || gapBefore)) s--;
+      j--;
+    }
+    state = stateIndex(j, s, prevR);
+  }
+  picked.reverse();
+
+  const segments = [];
+  picked.forEach((index) => {
+    const period = prices[index];
+    const current = segments[segments.length - 1];
+    if (current && followsDirectly(current.periods.at(-1), period)) {
+      current.periods.push(period);
+    } else {
+      segments.push({ periods: [period] });
+    }
+  });
+  segments.forEach((segment) => {
+    segment.startTime = segment.periods[0].timestamp;
+    segment.endTime = segment.periods.at(-1).endTime;
+    segment.totalCost = segment.periods.reduce(
+      (sum, p) => sum + p.calculated_price,
+      0
+    );
+    segment.runCost = segment.totalCost * kwhPerPeriod;
+  });
+
+  const periods = picked.map((index) => prices[index]);
+  const totalCost = periods.reduce((sum, p) => sum + p.calculated_price, 0);
+  return {
+    rank: 1,
+    startTime: segments[0].startTime,
+    endTime: segments.at(-1).endTime,
+    averagePrice: totalCost / periodsNeeded,
+    totalCost: totalCost,
+    energyKwh: periodsNeeded * kwhPerPeriod,
+    runCost: totalCost * kwhPerPeriod,
+    stepKwh: getLoadSteps(kwhPerPeriod, periodsNeeded),
+    periods: periods,
+    segments: segments,
+  };
+}
+
+/**
+ * Adds the power charge of an interruptible plan to its run cost. Pieces are
+ * picked on energy price alone, so the charge is added once they are chosen.
+ */
+function addPowerChargeToPlan(plan, powerTariff) {
+  if (!powerTariff) return;
+  const power = computePowerCharge(plan.periods, plan.stepKwh, powerTariff);
+  plan.runCost += power.cost;
+  plan.powerCost = power.cost;
+  plan.powerPeakKw = power.peakKw;
+}
+
+// --- Search Windows ---
+
+/**
+ * Formats a Date as the value of a `datetime-local` input (YYYY-MM-DDTHH:MM),
+ * in Stockholm time.
+ */
+function toDateTimeLocalValue(date) {
+  const { hour, minute } = getStockholmParts(date);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${getStockholmDateKey(date)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Parses a `datetime-local` input value as Stockholm time, returning `null`
+ * if empty/invalid.
+ */
+function parseDateTimeLocal(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/.exec(value || "");
+  if (!match) return null;
+  const date = stockholmToDate(match[1], Number(match[2]), Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Formats a window boundary for messages, e.g. "mån 20 okt. 06:30".
+ */
+function formatWindowTime(date) {
+  return date.toLocaleString("sv-SE", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: STOCKHOLM_TIME_ZONE,
+  });
+}
+
+/**
+ * Looks up a window preset by id, among the built-in and the user's own.
+ */
+function findWindowPreset(presetId) {
+  return (
+    WINDOW_PRESETS[presetId] ||
+    userWindowPresets.find((preset) => preset.id === presetId) ||
+    null
+  );
+}
+
+/**
+ * Turns a preset's Stockholm times of day into concrete dates. A preset whose
+ * end is not after its start runs past midnight. Presets with a `dayOffset`
+ * are pinned to that day; others resolve to the next window that hasn't ended.
+ */
+function resolveWindowPreset(preset, now = new Date()) {
+  const [startHour, startMinute] = preset.start.split(":").map(Number);
+  const [endHour, endMinute] = preset.end.split(":").map(Number);
+  const runsPastMidnight =
+    endHour * 60 + endMinute <= startHour * 60 + startMinute;
+
+  const resolveFrom = (dateKey) => ({
+    earliestStart: stockholmToDate(dateKey, startHour, startMinute),
+    finishBy: stockholmToDate(
+      runsPastMidnight ? addStockholmDays(dateKey, 1) : dateKey,
+      endHour,
+      endMinute
+    ),
+  });
+
+  const startKey = addStockholmDays(
+    getStockholmDateKey(now),
+    preset.dayOffset || 0
+  );
+  const window = resolveFrom(startKey);
+  if (preset.dayOffset === undefined && window.finishBy <= now) {
+    return resolveFrom(addStockholmDays(startKey, 1));
+  }
+  return window;
+}
+
+/**
+ * Fills the window inputs from the selected preset (unless "custom").
+ */
+function applySelectedWindowPreset() {
+  const preset = findWindowPreset(timeSlotSelect.value);
+  deleteWindowPresetButton.classList.toggle(
+    "hidden",
+    !userWindowPresets.includes(preset)
+  );
+  if (!preset) return;
+
+  const { earliestStart, finishBy } = resolveWindowPreset(
+    preset,
+    getPlanTime()
+  );
+  earliestStartInput.value = toDateTimeLocalValue(earliestStart);
+  finishByInput.value = toDateTimeLocalValue(finishBy);
+}
+
+/**
+ * Renders the user's own window presets into the window select.
+ */
+function renderUserWindowPresets() {
+  userWindowPresetGroup.innerHTML = userWindowPresets
+    .map(
+      (preset) =>
+        `<option value="${preset.id}">${escapeHtml(preset.label)} (${
+          preset.start
+        } - ${preset.end})</option>`
+    )
+    .join("");
+  userWindowPresetGroup.classList.toggle("hidden", !userWindowPresets.length);
+}
+
+/**
+ * Saves the current window inputs as a named, reusable preset. Only the times
+ * of day are kept, so the preset works on any day.
+ */
+function handleSaveWindowPreset() {
+  const label = windowPresetNameInput.value.trim();
+  const earliestStart = parseDateTimeLocal(earliestStartInput.value);
+  const finishBy = parseDateTimeLocal(finishByInput.value);
+  if (!label || !earliestStart || !finishBy) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">Enter a name and both window times before saving a preset.</p>`;
+    return;
+  }
+
+  const timeOfDay = (date) => toDateTimeLocalValue(date).split("T")[1];
+  const preset = {
+    id: `user-${Date.now()}`,
+    label,
+    start: timeOfDay(earliestStart),
+    end: timeOfDay(finishBy),
+  };
+  userWindowPresets.push(preset);
+  savePreferences({ windowPresets: userWindowPresets });
+  renderUserWindowPresets();
+  timeSlotSelect.value = preset.id;
+  windowPresetNameInput.value = "";
+  applySelectedWindowPreset();
+}
+
+/**
+ * Fills the saved car list.
+ */
+function renderSavedCars() {
+  evCarSelect.innerHTML =
+    '<option value="">New car…</option>' +
+    savedCars
+      .map(
+        (car) =>
+          `<option value="${car.id}">${escapeHtml(car.name)} (${
+            car.packKwh
+          } kWh)</option>`
+      )
+      .join("");
+}
+
+/**
+ * Fills the car fields from the selected saved car.
+ */
+function applySelectedCar() {
+  const car = savedCars.find((c) => c.id === evCarSelect.value);
+  deleteCarButton.classList.toggle("hidden", !car);
+  if (!car) return;
+
+  evCarNameInput.value = car.name;
+  evPackKwhInput.value = car.packKwh;
+  evChargerKwInput.value = car.chargerKw;
+  evLossPercentInput.value = car.lossPercent;
+}
+
+/**
+ * Saves the car fields under the car's name, updating a car of that name.
+ */
+function handleSaveCar() {
+  const name = evCarNameInput.value.trim();
+  if (!name || !(parseFloat(evPackKwhInput.value) > 0)) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">Enter a name and the battery size before saving a car.</p>`;
+    return;
+  }
+
+  // Saving under an existing name updates that car
+  const existing = savedCars.find((car) => car.name === name);
+  const car = {
+    id: existing ? existing.id : `car-${Date.now()}`,
+    name,
+    packKwh: evPackKwhInput.value,
+    chargerKw: evChargerKwInput.value,
+    lossPercent: evLossPercentInput.value,
+  };
+  savedCars = existing
+    ? savedCars.map((c) => (c === existing ? car : c))
+    : [...savedCars, car];
+  savePreferences({ cars: savedCars, evCar: car.id });
+  renderSavedCars();
+  evCarSelect.value = car.id;
+  applySelectedCar();
+}
+
+/**
+ * Deletes the selected saved car.
+ */
+function handleDeleteCar() {
+  savedCars = savedCars.filter((car) => car.id !== evCarSelect.value);
+  savePreferences({ cars: savedCars, evCar: "" });
+  renderSavedCars();
+  evCarSelect.value = "";
+  applySelectedCar();
+}
+
+/**
+ * Deletes the selected user preset and keeps its window as a custom one.
+ */
+function handleDeleteWindowPreset() {
+  userWindowPresets = userWindowPresets.filter(
+    (preset) => preset.id !== timeSlotSelect.value
+  );
+  savePreferences({ windowPresets: userWindowPresets });
+  renderUserWindowPresets();
+  timeSlotSelect.value = CUSTOM_WINDOW;
+  applySelectedWindowPreset();
+}
+
+/**
+ * Explains why a window holds fewer minutes than needed: the window itself
+ * is too short, part of it has passed, and/or prices aren't published yet.
+ */
+function explainWindowShortfall(
+  allPrices,
+  earliestStart,
+  finishBy,
+  minutesNeeded,
+  minutesAvailable
+) {
+  const zoneName = priceZoneSelect.selectedOptions[0].dataset.zoneName;
+  const now = new Date();
+  const shouldFetchNextDayPrice = isNextDayPricePublished(now);
+  const minutesBetween = (from, to) =>
+    Math.max(0, Math.round((to.getTime() - from.getTime()) / 60000));
+  const lastPeriod = allPrices[allPrices.length - 1];
+  const pricesEnd = lastPeriod ? lastPeriod.endTime : now;
+
+  const reasons = [];
+  const windowMinutes = minutesBetween(earliestStart, finishBy);
+  if (windowMinutes < minutesNeeded) {
+    reasons.push(
+      `The window from ${formatWindowTime(earliestStart)} to ${formatWindowTime(
+        finishBy
+      )} is only ${windowMinutes} minutes long.`
+    );
+  }
+  const passedMinutes = minutesBetween(
+    earliestStart,
+    now < finishBy ? now : finishBy
+  );
+  if (passedMinutes > 0) {
+    reasons.push(
+      `${passedMinutes} minutes of the window have already passed (only periods that start after now are used).`
+    );
+  }
+  const unpublishedMinutes = minutesBetween(
+    pricesEnd > earliestStart ? pricesEnd : earliestStart,
+    finishBy
+  );
+  let publicationNote = "";
+  if (unpublishedMinutes > 0) {
+    reasons.push(
+      `${unpublishedMinutes} minutes of the window fall after the last published price (${formatWindowTime(
+        pricesEnd
+      )}).`
+    );
+    publicationNote = `
+        <p class="text-gray-500 mt-2 text-sm">
+        ${
+          shouldFetchNextDayPrice
+            ? "If it's after 13:15 and tomorrow's prices are still unavailable,"
+            : "Prices for tomorrow are typically published after 13:00, but can sometimes take longer (usually by 13:15). If it's past 13:15 and prices are still unavailable,"
+        } check <a href="https://www.elprisetjustnu.se/i/${zoneName}/imorgon" target="_blank" class="underline text-blue-600">elprisetjustnu.se</a> for your zone to confirm availability, then try again here.
+        </p>`;
+  }
+
+  const onlyUnpublished =
+    unpublishedMinutes > 0 && reasons.length === 1 && !shouldFetchNextDayPrice;
+  return `
+        <p class="${
+          onlyUnpublished ? "text-yellow-700" : "text-red-600"
+        } font-bold">
+        ⚠️ Not enough periods in your window (${minutesNeeded} minutes needed, but only ${minutesAvailable} available).
+        </p>
+        <ul class="list-disc list-inside text-gray-600 mt-2 text-sm">
+        ${reasons.map((reason) => `<li>${reason}</li>`).join("")}
+        </ul>
+        ${publicationNote}
+        <p class="text-gray-500 mt-2 text-sm">
+        Try reducing the duration or widening the search window.
+        </p>
+      `;
+}
+
+// --- Solar Production ---
+
+/**
+ * Parses "time;value" rows, one per line. Times take the same forms as the
+ * price imports; rows that don't parse (such as a header) or hold a negative
+ * value are skipped. Returns `[{ start, value }]` with ISO start times.
+ */
+function parseTimeValueCsv(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line) => {
+    const cells = line
+      .split(line.includes(";") ? ";" : ",")
+      .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+    const start = parseCsvTime(cells[0]);
+    const value = parseFloat((cells[1] || "").replace(",", "."));
+    if (start && !isNaN(value) && value >= 0) {
+      rows.push({ start: start.toISOString(), value });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Parses an hourly PV forecast with one "time;kW" row per hour. Returns
+ * `[{ start, kw }]` with ISO start times.
+ */
+function parsePvForecastCsv(text) {
+  const rows = parseTimeValueCsv(text).map(({ start, value }) => ({
+    start,
+    kw: value,
+  }));
+  if (!rows.length) {
+    throw new Error(
+      "no forecast rows found (expected a time and kW per line)."
+    );
+  }
+  return rows;
+}
+
+/**
+ * Expected PV output (kW) during a period: the uploaded forecast for its
+ * hour, or the manual curve, a sine arch between sunrise and sunset that
+ * peaks halfway at `peakKw`.
+ */
+function getPvForecastKw(period, solar) {
+  if (solar.mode === SOLAR_MODES.upload) {
+    const hourMs = 60 * 60000;
+    const hourStart = Math.floor(period.timestamp.getTime() / hourMs) * hourMs;
+    return solar.forecastByHour.get(hourStart) || 0;
+  }
+  const midpoint = new Date(
+    period.timestamp.getTime() + period.durationMinutes * 30000
+  );
+  const { hour, minute } = getStockholmParts(midpoint);
+  const minutes = hour * 60 + minute;
+  if (minutes <= solar.sunriseMinutes || minutes >= solar.sunsetMinutes) {
+    return 0;
+  }
+  return (
+    solar.peakKw *
+    Math.sin(
+      (Math.PI * (minutes - solar.sunriseMinutes)) /
+        (solar.sunsetMinutes - solar.sunriseMinutes)
+    )
+  );
+}
+
+/**
+ * Re-prices periods for an appliance drawing `applianceKw` next to solar
+ * panels. Solar output beyond the household's other use covers the
+ * appliance first; that share costs the export price the energy would
+ * otherwise earn (spot plus the export adjustment), the rest the import
+ * price. `calculated_price` becomes the blended price, so the search ranks
+ * on it; `import_price`, `export_price` and `pv_kw` are kept for display.
+ */
+function applySolarSelfConsumption(prices, solar, applianceKw) {
+  return prices.map((p) => {
+    const pvKw = getPvForecastKw(p, solar);
+    const surplusKw = Math.max(0, pvKw - solar.baseLoadKw);
+    const solarShare = Math.min(1, surplusKw / applianceKw);
+    const exportPrice = p.base_price + solar.exportAdjustment;
+    return {
+      ...p,
+      import_price: p.calculated_price,
+      export_price: exportPrice,
+      pv_kw: pvKw,
+      calculated_price:
+        solarShare * exportPrice + (1 - solarShare) * p.calculated_price,
+    };
+  });
+}
+
+// --- Carbon Intensity ---
+// How much CO₂ the grid emits per kWh (gCO₂/kWh). Every provider hands back
+// rows of { start, g } with ISO start times; `getRequest` returns `null` when
+// a required setting is missing. Series are kept per zone in localStorage,
+// so imported files and earlier forecasts stay available offline.
+
+const CARBON_PROVIDERS = {
+  file: {
+    label: "Imported file",
+  },
+  electricitymaps: {
+    label: "Electricity Maps",
+    getRequest: (zone, settings) =>
+      settings.token
+        ? {
+            url: `${ELECTRICITY_MAPS_API_URL}?zone=SE-${zone}`,
+            headers: { "auth-token": settings.token },
+          }
+        : null,
+    parseResponse: async (response) => parseCarbonJson(await response.json()),
+    missingSettings:
+      "Add your Electricity Maps API token in the carbon-intensity settings.",
+  },
+};
+
+/**
+ * Reads carbon-intensity rows from JSON: an array of rows, or an object
+ * holding them in `forecast`, `history` or `data` (Electricity Maps and
+ * similar APIs). Each row needs a start time (`datetime`, `start`,
+ * `time_start` or `from`) and a gCO₂/kWh value (`carbonIntensity`, `g`,
+ * `intensity` or `value`; an `intensity` object may hold `actual` or
+ * `forecast`).
+ */
+function parseCarbonJson(data) {
+  const rows = Array.isArray(data)
+    ? data
+    : data?.forecast || data?.history || data?.data;
+  if (!Array.isArray(rows)) {
+    throw new Error("expected a list of carbon-intensity rows.");
+  }
+  return rows
+    .map((row) => {
+      const start = new Date(
+        row.datetime ?? row.start ?? row.time_start ?? row.from
+      );
+      let g = row.carbonIntensity ?? row.g ?? row.intensity ?? row.value;
+      if (g && typeof g === "object") {
+        g = g.actual ?? g.forecast;
+      }
+      return isNaN(start.getTime()) || typeof g !== "number" || g < 0
+        ? null
+        : { start: start.toISOString(), g };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parses an imported carbon-intensity file: JSON (see `parseCarbonJson`) or
+ * one "time;gCO₂/kWh" row per period.
+ */
+function parseCarbonFile(text) {
+  const rows = /^\s*[[{]/.test(text)
+    ? parseCarbonJson(JSON.parse(text))
+    : parseTimeValueCsv(text).map(({ start, value }) => ({ start, g: value }));
+  if (!rows.length) {
+    throw new Error("no intensity rows found (expected a time and gCO₂/kWh).");
+  }
+  return rows.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * The stored carbon-intensity series of every zone.
+ */
+function readCarbonStore() {
+  try {
+    return JSON.parse(localStorage.getItem(cacheKeys.carbonIntensity)) || {};
+  } catch (e) {
+    console.error("Error reading carbon intensity:", e);
+    return {};
+  }
+}
+
+/**
+ * Merges `rows` into the stored series of `zone` (newer rows win), drops
+ * rows older than the cache retention and returns the zone's series.
+ */
+function storeCarbonRows(zone, rows) {
+  const store = readCarbonStore();
+  const oldest = stockholmToDate(
+    addStockholmDays(
+      getStockholmDateKey(new Date()),
+      -(readCacheRetentionDays() - 1)
+    )
+  ).toISOString();
+  const byStart = new Map(
+    [...(store[zone] || []), ...rows].map((row) => [row.start, row])
+  );
+  store[zone] = [...byStart.values()]
+    .filter((row) => row.start >= oldest)
+    .sort((a, b) => a.start.localeCompare(b.start));
+  localStorage.setItem(cacheKeys.carbonIntensity, JSON.stringify(store));
+  return store[zone];
+}
+
+/**
+ * Loads the carbon-intensity series of `zone`: fetched from the provider
+ * when it has an API, otherwise (or if that fails) the stored series.
+ * Returns `{ rows, note }`, where `note` explains a problem, if any.
+ */
+async function loadCarbonIntensity(zone, settings) {
+  const provider = CARBON_PROVIDERS[settings.provider];
+  const stored = readCarbonStore()[zone] || [];
+  if (!provider.getRequest) {
+    return { rows: stored, note: null };
+  }
+  const request = provider.getRequest(zone, settings);
+  if (!request) {
+    return { rows: stored, note: provider.missingSettings };
+  }
+  try {
+    const response = await fetch(request.url, { headers: request.headers });
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    const rows = await provider.parseResponse(response);
+    return { rows: storeCarbonRows(zone, rows), note: null };
+  } catch (error) {
+    console.error("Carbon intensity fetch error:", error);
+    return {
+      rows: stored,
+      note: `Could not fetch from ${provider.label} (${error.message}); using the stored series.`,
+    };
+  }
+}
+
+/**
+ * Adds `carbon_g` (gCO₂/kWh) to each period: the value of the row covering
+ * the period's start, or `null` when no row does. A row lasts until the
+ * next one, at most an hour; the last row lasts as long as the one before.
+ */
+function applyCarbonIntensity(prices, rows) {
+  const starts = rows.map((row) => new Date(row.start).getTime());
+  const hourMs = 60 * 60000;
+  let i = 0;
+  return prices.map((p) => {
+    const time = p.timestamp.getTime();
+    while (i + 1 < starts.length && starts[i + 1] <= time) {
+      i++;
+    }
+    const length =
+      i + 1 < starts.length
+        ? starts[i + 1] - starts[i]
+        : i > 0
+        ? starts[i] - starts[i - 1]
+        : hourMs;
+    const covered =
+      starts.length > 0 &&
+      starts[i] <= time &&
+      time < starts[i] + Math.min(length, hourMs);
+    return { ...p, carbon_g: covered ? rows[i].g : null };
+  });
+}
+
+/**
+ * Adds `rank_price` to each period: a mix of its price and its carbon
+ * intensity, `weight` (0-1) being the share of the intensity. Both are
+ * measured against their average over `prices`, so equal shares weigh a
+ * 10% dearer period the same as a 10% dirtier one. Periods without an
+ * intensity count as average.
+ */
+function applyCarbonWeight(prices, weight) {
+  const known = prices.filter((p) => typeof p.carbon_g === "number");
+  const averageIntensity = known.length
+    ? known.reduce((sum, p) => sum + p.carbon_g, 0) / known.length
+    : 0;
+  const averagePrice =
+    prices.reduce((sum, p) => sum + Math.abs(p.calculated_price), 0) /
+      prices.length || 1;
+  const scale = averageIntensity > 0 ? averagePrice / averageIntensity : 0;
+  return prices.map((p) => ({
+    ...p,
+    rank_price:
+      (1 - weight) * p.calculated_price +
+      weight * (p.carbon_g ?? averageIntensity) * scale,
+  }));
+}
+
+/**
+ * Estimated emissions of a run in kg CO₂, from the kWh of each step and the
+ * intensity of its period. `missing` counts steps without an intensity.
+ */
+function estimateRunEmissions(periods, stepKwh) {
+  let kg = 0;
+  let missing = 0;
+  periods.forEach((p, index) => {
+    if (typeof p.carbon_g === "number") {
+      kg += (stepKwh[index] * p.carbon_g) / 1000;
+    } else {
+      missing++;
+    }
+  });
+  return { kg, missing };
+}
+
+/**
+ * Describes the ranking weight, e.g. "60% cost, 40% CO₂".
+ */
+function describeCarbonWeight(percent) {
+  if (percent <= 0) return "Cost only";
+  if (percent >= 100) return "Emissions only";
+  return `${100 - percent}% cost, ${percent}% CO₂`;
+}
+
+// --- Electric Car ---
+
+/**
+ * Turns a charge from `currentPercent` to `targetPercent` of the pack into
+ * the energy stored, the energy drawn from the grid after charging losses,
+ * and the minutes the charger needs for it.
+ */
+function computeEvChargeNeed(
+  packKwh,
+  currentPercent,
+  targetPercent,
+  chargerKw,
+  lossPercent
+) {
+  const batteryKwh = (packKwh * (targetPercent - currentPercent)) / 100;
+  const gridKwh = batteryKwh / (1 - lossPercent / 100);
+  return {
+    batteryKwh,
+    gridKwh,
+    minutesNeeded: Math.ceil((gridKwh / chargerKw) * 60),
+  };
+}
+
+/**
+ * Next time the car leaves: today at `time` ("HH:MM", Swedish time) if that
+ * is still ahead, otherwise tomorrow.
+ */
+function getNextDeparture(time, now = new Date()) {
+  const [hour, minute] = time.split(":").map(Number);
+  const todayDateStr = getStockholmDateKey(now);
+  const today = stockholmToDate(todayDateStr, hour, minute);
+  return today > now
+    ? today
+    : stockholmToDate(addStockholmDays(todayDateStr, 1), hour, minute);
+}
+
+// --- Home Battery ---
+
+/**
+ * Plans when a home battery should charge, idle or discharge over `prices`
+ * to save the most. The state of charge moves on a grid of small steps.
+ * Energy bought to charge costs the period's calculated price; energy
+ * discharged is worth that price because the household would otherwise buy
+ * it. Round-trip losses are split evenly between charging and discharging.
+ * The battery never discharges below the reserve and ends at least as full
+ * as it started, so the savings come from price differences alone.
+ * Returns `{ steps, savings, chargedKwh, dischargedKwh, endSocKwh }` with
+ * one step `{ action, gridKwh, socKwh }` per price period.
+ */
+function planBatterySchedule(prices, battery) {
+  const { capacityKwh, maxPowerKw, efficiency, socKwh, reserveKwh } = battery;
+  const n = prices.length;
+  if (!n) {
+    return null;
+  }
+
+  // Steps small enough that the shortest period can still move energy
+  const shortestHours = Math.min(...prices.map((p) => p.durationMinutes)) / 60;
+  const levelKwh = Math.max(
+    capacityKwh / BATTERY_SOC_LEVELS.max,
+    Math.min(capacityKwh / BATTERY_SOC_LEVELS.min, maxPowerKw * shortestHours)
+  );
+  const levels = Math.round(capacityKwh / levelKwh);
+  const startLevel = Math.min(levels, Math.round(socKwh / levelKwh));
+  const reserveLevel = Math.min(
+    levels,
+    Math.ceil(reserveKwh / levelKwh - 1e-9)
+  );
+  const legEfficiency = Math.sqrt(efficiency);
+
+  // from[i * (levels + 1) + level]: level before period i on the best path
+  const from = new Int16Array(n * (levels + 1));
+  let costs = new Float64Array(levels + 1).fill(Infinity);
+  let next = new Float64Array(levels + 1);
+  costs[startLevel] = 0;
+
+  prices.forEach((p, i) => {
+    const maxSteps = Math.floor(
+      (maxPowerKw * p.durationMinutes) / 60 / levelKwh + 1e-9
+    );
+    const price = p.calculated_price;
+    next.fill(Infinity);
+    for (let level = 0; level <= levels; level++) {
+      const cost = costs[level];
+      if (cost === Infinity) continue;
+      const lowest = Math.max(level - maxSteps, Math.min(level, reserveLevel));
+      const highest = Math.min(levels, level + maxSteps);
+      for (let target = lowest; target <= highest; target++) {
+        const storedKwh = (target - level) * levelKwh;
+        const stepCost =
+          storedKwh > 0
+            ? (storedKwh / legEfficiency) * price
+            : storedKwh * legEfficiency * price;
+        if (cost + stepCost < next[target] - 1e-12) {
+          next[target] = cost + stepCost;
+          from[i * (levels + 1) + target] = level;
+        }
+      }
+    }
+    [costs, next] = [next, costs];
+  });
+
+  let endLevel = startLevel;
+  for (let level = startLevel; level <= levels; level++) {
+    if (costs[level] < costs[endLevel] - 1e-12) {
+      endLevel = level;
+    }
+  }
+
+  // Walk back to recover the state of charge after every period
+  const socLevels = new Array(n);
+  let level = endLevel;
+  for (let i = n - 1; i >= 0; i--) {
+    socLevels[i] = level;
+    level = from[i * (levels + 1) + level];
+  }
+
+  let chargedKwh = 0;
+  let dischargedKwh = 0;
+  const steps = socLevels.map((socLevel, i) => {
+    const storedKwh =
+      (socLevel - (i ? socLevels[i - 1] : startLevel)) * levelKwh;
+    let gridKwh = 0;
+    if (storedKwh > 1e-9) {
+      gridKwh = storedKwh / legEfficiency;
+      chargedKwh += gridKwh;
+    } else if (storedKwh < -1e-9) {
+      gridKwh = storedKwh * legEfficiency;
+      dischargedKwh -= gridKwh;
+    }
+    return {
+      action: gridKwh > 0 ? "charge" : gridKwh < 0 ? "discharge" : "idle",
+      gridKwh,
+      socKwh: socLevel * levelKwh,
+    };
+  });
+
+  return {
+    steps,
+    savings: -costs[endLevel],
+    chargedKwh,
+    dischargedKwh,
+    endSocKwh: endLevel * levelKwh,
+  };
+}
+
+/**
+ * Groups consecutive charging or discharging periods of a battery plan into
+ * blocks for the result list; idle periods end a block.
+ */
+function groupBatteryBlocks(prices, steps) {
+  const blocks = [];
+  steps.forEach((step, i) => {
+    if (step.action === "idle") return;
+    const current = blocks[blocks.length - 1];
+    if (
+      current &&
+      current.action === step.action &&
+      followsDirectly(current.periods.at(-1), prices[i])
+    ) {
+      current.periods.push(prices[i]);
+      current.gridKwh += step.gridKwh;
+      current.value += step.gridKwh * prices[i].calculated_price;
+      current.endSocKwh = step.socKwh;
+    } else {
+      blocks.push({
+        action: step.action,
+        periods: [prices[i]],
+        gridKwh: step.gridKwh,
+        value: step.gridKwh * prices[i].calculated_price,
+        endSocKwh: step.socKwh,
+      });
+    }
+  });
+  return blocks;
+}
+
+// --- Household Scheduler ---
+
+/**
+ * Checks whether an appliance fits at `start` without pushing the combined
+ * household load over the cap in any of its periods.
+ */
+function fitsUnderPowerCap(loadByIndex, start, periodsNeeded, kw, powerCapKw) {
+  for (let i = start; i < start + periodsNeeded; i++) {
+    if (loadByIndex[i] + kw > powerCapKw + 1e-9) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Whether a run starting at `start` stays inside the appliance's own
+ * earliest-start/deadline window.
+ */
+function fitsApplianceWindow(prices, appliance, start) {
+  const startTime = prices[start].timestamp.getTime();
+  const endTime = prices[start + appliance.periodsNeeded - 1].endTime.getTime();
+  return (
+    (!appliance.earliestStart ||
+      startTime >= appliance.earliestStart.getTime()) &&
+    (!appliance.deadline || endTime <= appliance.deadline.getTime())
+  );
+}
+
+/**
+ * Prepares the power charge of household schedules over `prices`. Returns a
+ * function from a load (kW per period) to the extra monthly charge (SEK) of
+ * the counted hours that have planned load, as computePowerCharge prices a
+ * single run. The hours are looked up once, as the search calls it often.
+ */
+function createSchedulePowerCharge(prices, powerTariff) {
+  const periodHours = getPeriodMinutes(prices) / 60;
+  const hourMs = 60 * 60000;
+  const counted = [];
+  prices.forEach((p, index) => {
+    if (
+      !powerTariff.peakHours.some((rule) =>
+        tariffRuleMatches(rule, p.timestamp)
+      )
+    ) {
+      return;
+    }
+    const hourStart = Math.floor(p.timestamp.getTime() / hourMs) * hourMs;
+    const monthKey = getStockholmDateKey(new Date(hourStart)).slice(0, 7);
+    counted.push({ index, hourStart, monthKey });
+  });
+
+  return (loadByIndex) => {
+    const hours = new Map();
+    counted.forEach(({ index, hourStart, monthKey }) => {
+      if (loadByIndex[index] <= 1e-9) return;
+      const hour = hours.get(hourStart) || { monthKey, kwh: 0 };
+      hour.kwh += loadByIndex[index] * periodHours;
+      hours.set(hourStart, hour);
+    });
+    const hoursByMonth = new Map();
+    hours.forEach(({ monthKey, kwh }) => {
+      const hourKws = hoursByMonth.get(monthKey) || [];
+      hourKws.push(powerTariff.baseLoadKw + kwh);
+      hoursByMonth.set(monthKey, hourKws);
+    });
+    return computeMonthlyPeakCharge(hoursByMonth, powerTariff);
+  };
+}
+
+/**
+ * Finds the cheapest start for one appliance given the load already placed,
+ * its own earliest-start/deadline window and the household power cap.
+ * `powerCostOf(start)`, when given, is the power charge a start adds.
+ * Returns `{ start, cost, powerCost }` or `null` if it fits nowhere.
+ */
+function findCheapestAppliancePlacement(
+  prices,
+  appliance,
+  runCosts,
+  loadByIndex,
+  powerCapKw,
+  powerCostOf = null
+) {
+  let best = null;
+  runCosts.forEach((cost, start) => {
+    // The power charge only adds to the energy cost
+    if (cost === null || (best && cost >= best.cost + best.powerCost)) return;
+    if (!fitsApplianceWindow(prices, appliance, start)) {
+      return;
+    }
+    if (
+      !fitsUnderPowerCap(
+        loadByIndex,
+        start,
+        appliance.periodsNeeded,
+        appliance.kw,
+        powerCapKw
+      )
+    ) {
+      return;
+    }
+    const powerCost = powerCostOf ? powerCostOf(start) : 0;
+    if (!best || cost + powerCost < best.cost + best.powerCost) {
+      best = { start, cost, powerCost };
+    }
+  });
+  return best;
+}
+
+/**
+ * Searches the combinations of starts (branch and bound) for the plan that
+ * runs the most appliances at the lowest total cost, beginning from the
+ * plan already in `jobs`. A better plan is written back to `jobs`. Returns
+ * whether every combination was ruled out within
+ * `MAX_SCHEDULE_SEARCH_STEPS`, i.e. no cheaper plan exists. With a
+ * `powerTariff` the cost includes the plan's power charge, which only grows
+ * as appliances are added.
+ */
+function searchAppliancePlan(prices, jobs, powerCapKw, powerTariff = null) {
+  const loadByIndex = new Array(prices.length).fill(0);
+  const addLoad = (start, appliance, sign) => {
+    for (let i = 0; i < appliance.periodsNeeded; i++) {
+      loadByIndex[start + i] += sign * appliance.kw;
+    }
+  };
+  // Largest first, each with its starts from cheapest to dearest
+  const order = [...jobs].sort(
+    (a, b) =>
+      b.appliance.kw * b.appliance.periodsNeeded -
+      a.appliance.kw * a.appliance.periodsNeeded
+  );
+  const candidates = order.map((job) => {
+    const starts = [];
+    job.runCosts.forEach((cost, start) => {
+      if (
+        cost !== null &&
+        job.appliance.kw <= powerCapKw + 1e-9 &&
+        fitsApplianceWindow(prices, job.appliance, start)
+      ) {
+        starts.push({ start, cost });
+      }
+    });
+    return starts.sort((a, b) => a.cost - b.cost);
+  });
+  // Most appliances and lowest cost still possible from each depth on,
+  // ignoring the cap
+  const maxCountFrom = new Array(order.length + 1).fill(0);
+  const minCostFrom = new Array(order.length + 1).fill(0);
+  for (let depth = order.length - 1; depth >= 0; depth--) {
+    const cheapest = candidates[depth][0];
+    maxCountFrom[depth] = maxCountFrom[depth + 1] + (cheapest ? 1 : 0);
+    minCostFrom[depth] = minCostFrom[depth + 1] + (cheapest?.cost || 0);
+  }
+
+  const schedulePowerCharge =
+    powerTariff && createSchedulePowerCharge(prices, powerTariff);
+  const powerCharge = () =>
+    schedulePowerCharge ? schedulePowerCharge(loadByIndex) : 0;
+
+  const placements = order.map((job) => job.placement);
+  placements.forEach((p, index) => {
+    if (p) addLoad(p.start, order[index].appliance, 1);
+  });
+  let best = {
+    count: placements.filter(Boolean).length,
+    cost:
+      placements.reduce((sum, p) => sum + (p?.cost || 0), 0) + powerCharge(),
+    placements,
+  };
+  loadByIndex.fill(0);
+  const current = [];
+  let steps = 0;
+  // Whether the appliances from `depth` on can beat the best plan
+  const canImprove = (depth, count, cost) => {
+    const maxCount = count + maxCountFrom[depth];
+    return (
+      maxCount > best.count ||
+      (maxCount === best.count && cost + minCostFrom[depth] < best.cost - 1e-9)
+    );
+  };
+  // `cost` is the energy cost of the appliances placed so far
+  const visit = (depth, count, cost) => {
+    const chargedCost = cost + powerCharge();
+    if (depth === order.length) {
+      if (
+        count > best.count ||
+        (count === best.count && chargedCost < best.cost - 1e-9)
+      ) {
+        best = { count, cost: chargedCost, placements: [...current] };
+      }
+      return;
+    }
+    const { appliance } = order[depth];
+    for (const placement of candidates[depth]) {
+      if (!canImprove(depth, count, chargedCost)) return;
+      if (++steps > MAX_SCHEDULE_SEARCH_STEPS) return;
+      if (
+        !fitsUnderPowerCap(
+          loadByIndex,
+          placement.start,
+          appliance.periodsNeeded,
+          appliance.kw,
+          powerCapKw
+        )
+      ) {
+        continue;
+      }
+      // Dearer starts cannot do better than this one once it is over budget
+      if (!canImprove(depth + 1, count + 1, chargedCost + placement.cost)) {
+        break;
+      }
+      current[depth] = placement;
+      addLoad(placement.start, appliance, 1);
+      visit(depth + 1, count + 1, cost + placement.cost);
+      addLoad(placement.start, appliance, -1);
+    }
+    // Leaving this appliance out
+    current[depth] = null;
+    if (
+      steps <= MAX_SCHEDULE_SEARCH_STEPS &&
+      canImprove(depth, count, chargedCost)
+    ) {
+      visit(depth + 1, count, cost);
+    }
+  };
+  visit(0, 0, 0);
+
+  order.forEach((job, index) => {
+    job.placement = best.placements[index];
+  });
+  return steps <= MAX_SCHEDULE_SEARCH_STEPS;
+}
+
+/**
+ * Plans several appliances together so that their combined draw never
+ * exceeds `powerCapKw` (the main fuse limit) at the lowest total cost.
+ * Appliances are placed largest-first at their cheapest feasible start, then
+ * each one is repeatedly moved to its cheapest start given the others until
+ * no move lowers the total. An exact search then looks for a cheaper
+ * combination; `isOptimal` is `false` when it ran out of steps and the plan
+ * is the best one found. With a `powerTariff` the total includes the power
+ * charge of the combined load, kept apart in `powerCost`. Each appliance is
+ * `{ name, periodsNeeded, kw, earliestStart, deadline }`, with
+ * `periodsNeeded` counted on the grid of `prices`; the window dates may be
+ * `null`.
+ */
+function scheduleAppliances(
+  prices,
+  appliances,
+  powerCapKw,
+  powerTariff = null
+) {
+  const periodHours = getPeriodMinutes(prices) / 60;
+  const loadByIndex = new Array(prices.length).fill(0);
+  const addLoad = (placement, appliance, sign) => {
+    for (let i = 0; i < appliance.periodsNeeded; i++) {
+      loadByIndex[placement.start + i] += sign * appliance.kw;
+    }
+  };
+
+  const jobs = appliances.map((appliance) => ({
+    appliance,
+    runCosts: computeRunCosts(
+      prices,
+      appliance.periodsNeeded,
+      appliance.kw * periodHours
+    ),
+    placement: null,
+  }));
+  const schedulePowerCharge =
+    powerTariff && createSchedulePowerCharge(prices, powerTariff);
+  const powerCharge = () =>
+    schedulePowerCharge ? schedulePowerCharge(loadByIndex) : 0;
+  // What a start adds to the power charge of the load already placed
+  const addedPowerCharge = (appliance, start) => {
+    const before = powerCharge();
+    addLoad({ start }, appliance, 1);
+    const after = powerCharge();
+    addLoad({ start }, appliance, -1);
+    return after - before;
+  };
+  const place = (job) => {
+    const placement = findCheapestAppliancePlacement(
+      prices,
+      job.appliance,
+      job.runCosts,
+      loadByIndex,
+      powerCapKw,
+      powerTariff ? (start) => addedPowerCharge(job.appliance, start) : null
+    );
+    if (placement) {
+      job.placement = placement;
+      addLoad(placement, job.appliance, 1);
+    }
+  };
+
+  // Hardest jobs first: the most energy needs the most room under the cap
+  [...jobs]
+    .sort(
+      (a, b) =>
+        b.appliance.kw * b.appliance.periodsNeeded -
+        a.appliance.kw * a.appliance.periodsNeeded
+    )
+    .forEach(place);
+
+  const maxImprovementRounds = 10;
+  for (let round = 0; round < maxImprovementRounds; round++) {
+    let improved = false;
+    jobs.forEach((job) => {
+      if (!job.placement) {
+        place(job);
+        improved = improved || Boolean(job.placement);
+        return;
+      }
+      const previous = job.placement;
+      addLoad(previous, job.appliance, -1);
+      const previousCost = powerTariff
+        ? previous.cost + addedPowerCharge(job.appliance, previous.start)
+        : previous.cost;
+      place(job);
+      if (job.placement.cost + job.placement.powerCost < previousCost - 1e-9) {
+        improved = true;
+      }
+    });
+    if (!improved) break;
+  }
+
+  const isOptimal = searchAppliancePlan(prices, jobs, powerCapKw, powerTariff);
+  loadByIndex.fill(0);
+  jobs.forEach((job) => {
+    if (job.placement) addLoad(job.placement, job.appliance, 1);
+  });
+
+  const entries = [];
+  const unscheduled = [];
+  jobs.forEach(({ appliance, placement }) => {
+    if (!placement) {
+      unscheduled.push(appliance);
+      return;
+    }
+    const periods = prices.slice(
+      placement.start,
+      placement.start + appliance.periodsNeeded
+    );
+    entries.push({
+      appliance: appliance,
+      startIndex: placement.start,
+      startTime: periods[0].timestamp,
+      endTime: periods.at(-1).endTime,
+      energyKwh: appliance.kw * appliance.periodsNeeded * periodHours,
+      runCost: placement.cost,
+      periods: periods,
+    });
+  });
+  entries.sort((a, b) => a.startIndex - b.startIndex);
+  const powerCost = powerTariff ? powerCharge() : null;
+
+  return {
+    entries,
+    unscheduled,
+    loadByIndex,
+    peakKw: Math.max(0, ...loadByIndex),
+    totalCost:
+      entries.reduce((sum, entry) => sum + entry.runCost, 0) + (powerCost || 0),
+    powerCost,
+    isOptimal,
+  };
+}
+
+/**
+ * Renders the price chart using Chart.js with highlighted slots.
+ * `runCostsByIndex` optionally holds the SEK cost of a run starting at each
+ * period, shown in the tooltip. `overlays` adds extra series on a secondary
+ * axis, e.g. `loadTimeline` (kW per appliance, stacked) with `powerCapKw`,
+ * `batterySteps` (one battery plan step or `null` per period) or `pvKw`
+ * (expected solar output per period). Periods matching a price alert are
+ * shaded.
+ */
+function renderPriceChart(
+  allPrices,
+  bestSlots,
+  runCostsByIndex = [],
+  overlays = {}
+) {
+  chartContainer.classList.remove("hidden");
+
+  const labels = allPrices.map((p) => {
+    return `${p.dayTag} ${formatStockholmTime(p.timestamp)}`;
+  });
+  const prices = allPrices.map((p) => p.calculated_price);
+
+  const highlightData = allPrices.map(() => null);
+  const bestSlotTimestamps = new Set();
+
+  bestSlots.forEach((slot) => {
+    slot.periods.forEach((p) => {
+      bestSlotTimestamps.add(new Date(p.timestamp).getTime());
+    });
+  });
+
+  allPrices.forEach((p, index) => {
+    if (bestSlotTimestamps.has(p.timestamp.getTime())) {
+      highlightData[index] = p.calculated_price;
+    }
+  });
+
+  // Household scheduler: one stacked bar series per appliance, plus the cap
+  const overlayDatasets = [];
+  const overlayScales = {};
+  const { loadTimeline = [], powerCapKw = null } = overlays;
+  if (loadTimeline.length) {
+    loadTimeline.forEach((series) => {
+      overlayDatasets.push({
+        type: "bar",
+        label: series.label,
+        data: series.data,
+        backgroundColor: series.color,
+        stack: "household",
+        yAxisID: "power",
+      });
+    });
+    if (powerCapKw !== null) {
+      overlayDatasets.push({
+        label: "Power Cap",
+        data: allPrices.map(() => powerCapKw),
+        borderColor: "rgb(220, 38, 38)", // Red-600
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+        yAxisID: "power",
+      });
+    }
+    overlayScales.power = {
+      type: "linear",
+      display: true,
+      position: "right",
+      stacked: true,
+      beginAtZero: true,
+      title: { display: true, text: "Load (kW)" },
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  // Home battery: charge/discharge marks on the price line, charge level
+  const { batterySteps = [] } = overlays;
+  if (batterySteps.length) {
+    ["charge", "discharge"].forEach((action) => {
+      const color = BATTERY_COLORS[action];
+      overlayDatasets.push({
+        label: action === "charge" ? "Charge" : "Discharge",
+        data: allPrices.map((p, index) =>
+          batterySteps[index]?.action === action ? p.calculated_price : null
+        ),
+        borderColor: color,
+        backgroundColor: color,
+        pointRadius: 5,
+        showLine: false,
+        yAxisID: "y",
+      });
+    });
+    overlayDatasets.push({
+      label: "State of Charge",
+      data: batterySteps.map((step) => (step ? step.socKwh : null)),
+      borderColor: BATTERY_COLORS.soc,
+      borderWidth: 2,
+      pointRadius: 0,
+      stepped: true,
+      fill: false,
+      yAxisID: "soc",
+    });
+    overlayScales.soc = {
+      type: "linear",
+      display: true,
+      position: "right",
+      beginAtZero: true,
+      title: { display: true, text: "State of Charge (kWh)" },
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  // Solar panels: expected output next to the price line
+  const { pvKw = [] } = overlays;
+  if (pvKw.length) {
+    overlayDatasets.push({
+      label: "Expected Solar (kW)",
+      data: pvKw,
+      borderColor: SOLAR_COLOR,
+      backgroundColor: SOLAR_COLOR,
+      borderWidth: 1,
+      pointRadius: 0,
+      tension: 0.2,
+      fill: true,
+      yAxisID: "pv",
+    });
+    overlayScales.pv = {
+      type: "linear",
+      display: true,
+      position: "right",
+      beginAtZero: true,
+      title: { display: true, text: "Solar (kW)" },
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  // Carbon intensity of the grid next to the price line
+  const { carbonG = [] } = overlays;
+  if (carbonG.some((g) => g !== null)) {
+    overlayDatasets.push({
+      label: "Carbon Intensity (gCO₂/kWh)",
+      data: carbonG,
+      borderColor: CARBON_COLOR,
+      borderDash: [4, 3],
+      borderWidth: 2,
+      pointRadius: 0,
+      tension: 0.2,
+      fill: false,
+      yAxisID: "co2",
+    });
+    overlayScales.co2 = {
+      type: "linear",
+      display: true,
+      position: "right",
+      beginAtZero: true,
+      title: { display: true, text: "gCO₂/kWh" },
+      grid: { drawOnChartArea: false },
+    };
+  }
+
+  // Price alerts: shaded behind the periods inside a matched region
+  const alertLabels = allPrices.map((p) =>
+    priceAlertMatches
+      .filter(
+        (match) =>
+          match.start && p.timestamp < match.end && p.endTime > match.start
+      )
+      .map((match) => match.rule.line)
+      .join(", ")
+  );
+  if (alertLabels.some(Boolean)) {
+    overlayDatasets.push({
+      type: "bar",
+      label: "Price Alert",
+      data: alertLabels.map((label) => (label ? 1 : null)),
+      backgroundColor: PRICE_ALERT_COLOR,
+      barPercentage: 1,
+      categoryPercentage: 1,
+      order: 1, // Drawn behind the price line
+      yAxisID: "alert",
+    });
+    overlayScales.alert = { display: false, min: 0, max: 1 };
+  }
+
+  if (priceChartInstance) {
+    priceChartInstance.destroy();
+  }
+
+  const ctx = priceChartCanvas.getContext("2d");
+  priceChartInstance = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: labels,
+      datasets: [
+        {
+          label: "Calculated Price (SEK/kWh)",
+          data: prices,
+          borderColor: CHART_COLORS.base,
+          backgroundColor: CHART_COLORS.background,
+          borderWidth: 2,
+          pointRadius: 2,
+          tension: 0.2,
+          fill: true,
+          yAxisID: "y",
+        },
+        {
+          label: "Cheapest Slot Highlight",
+          data: highlightData,
+          borderColor: CHART_COLORS.highlight,
+          backgroundColor: CHART_COLORS.highlight,
+          pointRadius: 7,
+          pointBackgroundColor: CHART_COLORS.highlight,
+          pointBorderColor: "#fff",
+          pointBorderWidth: 2,
+          // Split runs draw each piece as a connected line segment
+          showLine: bestSlots.some((slot) => slot.segments),
+          spanGaps: false,
+          yAxisID: "y",
+        },
+        ...overlayDatasets,
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      plugins: {
+        legend: { display: overlayDatasets.length > 0 },
+        tooltip: {
+          callbacks: {
+            title: function (context) {
+              return labels[context[0].dataIndex];
+            },
+            label: function (context) {
+              if (
+                context.dataset.yAxisID === "power" ||
+                context.dataset.yAxisID === "pv"
+              ) {
+                return `${context.dataset.label}: ${context.formattedValue} kW`;
+              }
+              if (context.dataset.yAxisID === "soc") {
+                return `${context.dataset.label}: ${context.formattedValue} kWh`;
+              }
+              if (context.dataset.yAxisID === "co2") {
+                return `Carbon Intensity: ${context.formattedValue} gCO₂/kWh`;
+              }
+              if (context.dataset.yAxisID === "alert") {
+                return `Price alert: ${alertLabels[context.dataIndex]}`;
+              }
+              return `Price: ${context.formattedValue} ${TARGET_CURRENCY_UNIT}`;
+            },
+            afterBody: function (context) {
+              const runCost = runCostsByIndex[context[0].dataIndex];
+              return typeof runCost === "number"
+                ? `Run starting here: ${formatSek(runCost)}`
+                : "";
+            },
+          },
+        },
+      },
+      scales: {
+        y: {
+          type: "linear",
+          display: true,
+          position: "left",
+          title: {
+            display: true,
+            text: `Price (${TARGET_CURRENCY_UNIT})`,
+          },
+          beginAtZero: true,
+        },
+        x: {
+          ticks: {
+            maxRotation: 90,
+            minRotation: 90,
+            autoSkip: true,
+            maxTicksLimit: 12,
+          },
+          stacked: loadTimeline.length > 0,
+          grid: {
+            display: false,
+          },
+        },
+        ...overlayScales,
+      },
+    },
+  });
+}
+
+function renderSlot(slot) {
+  const dayTag = slot.periods[0].dayTag;
+  const timeOptions = {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: STOCKHOLM_TIME_ZONE,
+  };
+  const startTimeStr = slot.startTime.toLocaleTimeString("sv-SE", timeOptions);
+  const endTimeStr = slot.endTime.toLocaleTimeString("sv-SE", timeOptions);
+
+  const rankClass =
+    slot.rank === 1
+      ? "bg-green-100 border-green-400"
+      : "bg-blue-50 border-blue-200";
+  const priceColor = slot.rank === 1 ? "text-green-800" : "text-blue-700";
+  const hours = sumPeriodMinutes(slot.periods) / 60;
+
+  const priceDetails = slot.periods
+    .map((p, index) => {
+      const time = p.timestamp.toLocaleTimeString("sv-SE", timeOptions);
+      const price = p.calculated_price.toFixed(4);
+      const basePrice = p.base_price.toFixed(4);
+      const gridFee = p.grid_fee.toFixed(4);
+      const solarText = p.pv_kw > 0 ? `, Solar: ${p.pv_kw.toFixed(1)} kW` : "";
+      const carbonText =
+        typeof p.carbon_g === "number"
+          ? `, CO₂: ${Math.round(p.carbon_g)} g/kWh`
+          : "";
+      const stepKwh = slot.stepKwh[index];
+      return `<li class="text-xs">
+                    ${time}: <span class="font-semibold">${price} ${TARGET_CURRENCY_UNIT}</span> (Spot: ${basePrice} SEK, Grid: ${gridFee} SEK${solarText}${carbonText}) &middot; ${stepKwh.toFixed(
+        2
+      )} kWh = ${formatSek(stepKwh * p.calculated_price)}
+                </li>`;
+    })
+    .join("");
+  const { averagePrice, rank, runCost, energyKwh, startNowCost } = slot;
+  const formattedAveragePrice = averagePrice.toFixed(4);
+
+  // Estimated emissions, when a carbon-intensity series is loaded
+  let carbonText = "";
+  if (slot.periods.some((p) => p.carbon_g !== undefined)) {
+    const { kg, missing } = estimateRunEmissions(slot.periods, slot.stepKwh);
+    carbonText =
+      missing === slot.periods.length
+        ? `<span class="text-sm text-gray-500">&middot; no CO₂ data</span>`
+        : `<span class="font-semibold text-green-800">&middot; ${kg.toFixed(
+            2
+          )} kg CO₂</span>${
+            missing
+              ? ` <span class="text-sm text-gray-500">(${missing} period${
+                  missing !== 1 ? "s" : ""
+                } without data)</span>`
+              : ""
+          }`;
+  }
+
+  // The part of the run cost that comes from the monthly power charge
+  let powerDetails = "";
+  if (typeof slot.powerCost === "number") {
+    const peakText =
+      slot.powerPeakKw === null
+        ? "no hour of the run counts toward the peak"
+        : `highest counted hour ${slot.powerPeakKw.toFixed(2)} kW${
+            slot.powerCost < 0.005 ? ", below this month's peaks" : ""
+          }`;
+    powerDetails = `
+                    <p class="text-sm text-gray-600">
+                        Power charge: <span class="font-semibold">+${formatSek(
+                          slot.powerCost
+                        )}</span> (${peakText}); energy ${formatSek(
+      runCost - slot.powerCost
+    )}.
+                    </p>`;
+  }
+
+  // What the same run would cost if started right away instead
+  let startNowDetails = "";
+  if (typeof startNowCost === "number") {
+    const savings = startNowCost - runCost;
+    const savingsText =
+      savings > 0.005
+        ? ` &mdash; this saves <span class="font-semibold ${priceColor}">${formatSek(
+            savings
+          )}</span> (${((savings / startNowCost) * 100).toFixed(0)}%).`
+        : ".";
+    startNowDetails = `
+                    <p class="text-sm text-gray-600">
+                        Starting now would cost <span class="font-semibold">${formatSek(
+                          startNowCost
+                        )}</span>${savingsText}
+                    </p>`;
+  } else if (startNowCost === null) {
+    startNowDetails = `<p class="text-sm text-gray-500">Not enough published prices to compare with starting now.</p>`;
+  }
+
+  // Interruptible plans list each piece and how they compare to one block
+  let segmentDetails = "";
+  if (slot.segments) {
+    const segmentItems = slot.segments
+      .map((segment) => {
+        const start = segment.startTime.toLocaleTimeString(
+          "sv-SE",
+          timeOptions
+        );
+        const end = segment.endTime.toLocaleTimeString("sv-SE", timeOptions);
+        return `<li class="text-sm">
+                    ${
+                      segment.periods[0].dayTag
+                    } ${start} - ${end}: <span class="font-semibold">${formatSek(
+          segment.runCost
+        )}</span>
+                </li>`;
+      })
+      .join("");
+    // Pieces are picked without the power charge (and on the CO₂ mix when
+    // one is set), so one continuous block can still come out cheaper
+    const comparison =
+      slot.contiguousCost === null
+        ? "No single continuous block fits in the selected window."
+        : slot.contiguousCost < runCost
+        ? `Best continuous block: ${formatSek(
+            slot.contiguousCost
+          )}, which is cheaper than splitting${
+            typeof slot.powerCost === "number"
+              ? " once the power charge is included"
+              : ""
+          }.`
+        : `Best continuous block: ${formatSek(
+            slot.contiguousCost
+          )} (splitting saves ${formatSek(slot.contiguousCost - runCost)}).`;
+    segmentDetails = `
+                    <p class="mt-2 text-sm font-semibold text-gray-600">Run in ${
+                      slot.segments.length
+                    } piece${slot.segments.length !== 1 ? "s" : ""}:</p>
+                    <ul class="list-disc list-inside mt-1 text-gray-700">
+                        ${segmentItems}
+                    </ul>
+                    <p class="mt-2 text-sm text-gray-600">${comparison}</p>`;
+  }
+
+  return `
+                <div class="p-4 rounded-lg border shadow-lg ${rankClass} transition-shadow duration-300 hover:shadow-xl">
+                    <h3 class="font-extrabold text-xl mb-2 flex items-center justify-between">
+                        <span class="text-gray-700">#${rank}</span>
+                        <span class="text-sm font-semibold px-2 py-1 rounded-full min-w-[30%] md:min-w-0 ${
+                          rank === 1 ? "bg-green-300" : "bg-blue-200"
+                        } text-gray-800">${dayTag}</span>
+                    </h3>
+                    
+                    <p class="font-extrabold text-3xl ${priceColor} mt-1">${startTimeStr} - ${endTimeStr}</p>
+                    <p class="mt-2 text-lg text-gray-600">
+                        <span class="font-semibold">Run Cost (${energyKwh.toFixed(
+                          2
+                        )} kWh):</span> 
+                        <span class="font-extrabold ${priceColor}">${formatSek(
+    runCost
+  )}</span>
+                        ${carbonText}
+                    </p>
+                    <p class="text-lg text-gray-600">
+                        <span class="font-semibold">Average Calculated Price:</span> 
+                        <span class="font-extrabold ${priceColor}">${formattedAveragePrice} ${TARGET_CURRENCY_UNIT}</span>
+                    </p>
+                    ${powerDetails}
+                    ${startNowDetails}
+                    ${segmentDetails}
+                    <button type="button" data-calendar-slot="${rank}" class="mt-3 text-sm font-semibold text-blue-700 hover:text-blue-900 hover:underline">
+                        📅 Add to calendar
+                    </button>
+                    <button type="button" data-remind-slot="${rank}" class="mt-3 ml-4 text-sm font-semibold text-blue-700 hover:text-blue-900 hover:underline">
+                        ${
+                          isSlotArmed(slot)
+                            ? "🔕 Cancel reminder"
+                            : "🔔 Remind me before the start"
+                        }
+                    </button>
+
+                    <details class="mt-4 cursor-pointer">
+                        <summary class="text-sm text-gray-600 hover:text-gray-800 font-medium">Show ${
+                          slot.periods[0].durationMinutes
+                        }-Min Breakdown (Calculated vs. Spot, kWh and Cost per Step)</summary>
+                        <ul class="list-disc list-inside mt-2 max-h-40 overflow-y-auto bg-white p-2 rounded border border-gray-100 space-y-0">
+                            ${priceDetails}
+                        </ul>
+                    </details>
+                </div>
+            `;
+}
+
+/**
+ * Renders a short note on how slots were ranked when emissions count.
+ */
+function renderCarbonRanking(weight) {
+  return `
+      <p class="text-gray-500 mt-2 text-sm">
+        <span class="font-semibold">Ranking:</span> ${describeCarbonWeight(
+          Math.round(weight * 100)
+        )}. Costs are still shown in SEK.
+      </p>
+  `;
+}
+
+/**
+ * Renders a short note comparing the optimal and greedy selections.
+ */
+function renderStrategyComparison(comparison, selectedStrategy) {
+  const { optimalCount, optimalCost, greedyCount, greedyCost } = comparison;
+  const selectedLabel =
+    selectedStrategy === SLOT_STRATEGIES.greedy ? "Greedy" : "Optimal";
+
+  let detail;
+  if (optimalCount !== greedyCount) {
+    detail = `Optimal fits ${optimalCount} slot${
+      optimalCount !== 1 ? "s" : ""
+    }, greedy only ${greedyCount}.`;
+  } else {
+    const difference = greedyCost - optimalCost;
+    detail =
+      difference > 0.005
+        ? `Optimal set: ${formatSek(optimalCost)} vs. greedy set: ${formatSek(
+            greedyCost
+          )} (optimal saves ${formatSek(difference)}).`
+        : `Both strategies pick equally cheap sets (${formatSek(
+            optimalCost
+          )} combined).`;
+  }
+
+  return `
+      <p class="text-gray-500 mt-2 text-sm">
+        <span class="font-semibold">Strategy:</span> ${selectedLabel}. ${detail}
+      </p>
+  `;
+}
+
+// --- Supplier Contracts ---
+
+/**
+ * Estimates a month on each kind of supplier contract from the loaded spot
+ * prices. The hourly contract pays each period's spot price weighted by a
+ * typical household's use at that hour; the monthly-average contract pays
+ * the plain average. A fixed price is taken as the supplier's full price
+ * per kWh excl. VAT. Grid fee and energy tax are the same on every contract
+ * and are left out. Returns rows sorted from cheapest.
+ */
+function compareSupplierContracts(prices, contract) {
+  let minutes = 0;
+  let spotByMinutes = 0;
+  let weight = 0;
+  let spotByWeight = 0;
+  prices.forEach((p) => {
+    const hourWeight =
+      HOUSEHOLD_LOAD_SHAPE[getStockholmParts(p.timestamp).hour] *
+      p.durationMinutes;
+    minutes += p.durationMinutes;
+    spotByMinutes += p.base_price * p.durationMinutes;
+    weight += hourWeight;
+    spotByWeight += p.base_price * hourWeight;
+  });
+
+  const supplierFee = contract.markup + contract.certificateFee;
+  const vatFactor = 1 + contract.vat / 100;
+  const toRow = (id, label, energyPrice) => ({
+    id,
+    label,
+    pricePerKwh: energyPrice * vatFactor,
+    monthlyCost:
+      (energyPrice * contract.monthlyKwh + contract.monthlyFee) * vatFactor,
+  });
+  const rows = [
+    toRow("hourly", "Hourly spot price", spotByWeight / weight + supplierFee),
+    toRow(
+      "monthly",
+      "Monthly average price",
+      spotByMinutes / minutes + supplierFee
+    ),
+  ];
+  if (contract.fixedPrice > 0) {
+    rows.push(toRow("fixed", "Fixed price", contract.fixedPrice));
+  }
+  return rows.sort((a, b) => a.monthlyCost - b.monthlyCost);
+}
+
+/**
+ * Renders the contract comparison as a small table, cheapest first.
+ */
+function renderContractComparison(rows, prices) {
+  const dayKeys = [...new Set(prices.map((p) => p.dateKey))];
+  const cheapest = rows[0];
+  const rowItems = rows
+    .map(
+      (row) => `
+        <tr class="${row === cheapest ? "bg-green-100 font-semibold" : ""}">
+          <td class="p-2">${row.label}</td>
+          <td class="p-2 text-right">${row.pricePerKwh.toFixed(
+            4
+          )} ${TARGET_CURRENCY_UNIT}</td>
+          <td class="p-2 text-right">${formatSek(row.monthlyCost)}</td>
+          <td class="p-2 text-right">${
+            row === cheapest
+              ? "Cheapest"
+              : `+${formatSek(row.monthlyCost - cheapest.monthlyCost)}`
+          }</td>
+        </tr>`
+    )
+    .join("");
+
+  return `
+      <table class="w-full text-sm text-gray-700 bg-white rounded border border-gray-100">
+        <thead>
+          <tr class="text-left text-gray-500">
+            <th class="p-2">Contract</th>
+            <th class="p-2 text-right">Energy price</th>
+            <th class="p-2 text-right">Per month</th>
+            <th class="p-2 text-right"></th>
+          </tr>
+        </thead>
+        <tbody>${rowItems}</tbody>
+      </table>
+      <p class="text-xs text-gray-500 mt-2">
+        Estimated from ${dayKeys.length} day${
+    dayKeys.length !== 1 ? "s" : ""
+  } of loaded prices (${dayKeys[0]} to ${dayKeys.at(
+    -1
+  )}), incl. VAT and the monthly fee. Grid fee and energy tax are the same on every contract and are left out.
+      </p>
+  `;
+}
+
+// --- Price History ---
+// Past days of a zone, loaded from the archive, the cache or the provider,
+// summarised as daily statistics, the typical cheapest hours per weekday and
+// month, and today's curve against the averages of the last 7 and 30 days.
+// Prices are all-in with the current fees and VAT.
+
+/**
+ * Loads one day for the history: from the archive if it is there, and like
+ * any other day otherwise. Complete past days are archived.
+ */
+async function loadHistoryDay(zone, dateKey, settings) {
+  const archived = await readArchivedDay(zone, dateKey);
+  if (archived) {
+    return { dateKey, source: "archive", ...archived };
+  }
+  const day = await loadPriceDay(zone, dateKey, true, settings);
+  if (day.source && day.complete && dateKey < getStockholmDateKey(new Date())) {
+    await writeArchivedDay({
+      zone,
+      dateKey,
+      prices: day.prices,
+      complete: true,
+      fetchedAt: day.fetchedAt,
+      provider: day.provider,
+    });
+  }
+  return day;
+}
+
+/**
+ * Average price of `prices`, weighted by period length, or `null`.
+ */
+function getAveragePrice(prices) {
+  const minutes = sumPeriodMinutes(prices);
+  return minutes
+    ? prices.reduce(
+        (sum, p) => sum + p.calculated_price * p.durationMinutes,
+        0
+      ) / minutes
+    : null;
+}
+
+/**
+ * Average price per Stockholm hour of the day (0-23), `null` for hours
+ * without prices.
+ */
+function getHourlyProfile(prices) {
+  const byHour = Array.from({ length: 24 }, () => []);
+  prices.forEach((p) => byHour[getStockholmParts(p.timestamp).hour].push(p));
+  return byHour.map(getAveragePrice);
+}
+
+/**
+ * Average, lowest and highest price of each day.
+ */
+function computeDailyStats(days) {
+  return days.map(({ dateKey, prices }) => {
+    const values = prices.map((p) => p.calculated_price);
+    return {
+      dateKey,
+      average: getAveragePrice(prices),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      complete:
+        sumPeriodMinutes(prices) >=
+        getStockholmPeriodsInDay(dateKey) * PERIOD_MINUTES,
+    };
+  });
+}
+
+/**
+ * The `count` cheapest hours of the day on average, per group of days
+ * (`groupOf(dateKey)` names the group), in the order the groups appear.
+ */
+function findTypicalCheapHours(days, groupOf, count = 3) {
+  const groups = new Map();
+  days.forEach((day) => {
+    const label = groupOf(day.dateKey);
+    const group = groups.get(label) || { label, dayCount: 0, prices: [] };
+    group.dayCount++;
+    group.prices.push(...day.prices);
+    groups.set(label, group);
+  });
+  return [...groups.values()].map(({ label, dayCount, prices }) => {
+    const profile = getHourlyProfile(prices);
+    const hours = profile
+      .map((average, hour) => ({ hour, average }))
+      .filter((entry) => entry.average !== null)
+      .sort((a, b) => a.average - b.average)
+      .slice(0, count);
+    return {
+      label,
+      dayCount,
+      hours: hours.map((entry) => entry.hour).sort((a, b) => a - b),
+      average:
+        hours.reduce((sum, entry) => sum + entry.average, 0) / hours.length,
+    };
+  });
+}
+
+/**
+ * Formats hours of the day as ranges in the grid tariff notation, e.g.
+ * [2, 3, 4, 13] as "02-05, 13-14".
+ */
+function formatHourRanges(hours) {
+  const pad = (hour) => String(hour).padStart(2, "0");
+  const ranges = [];
+  hours.forEach((hour) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === hour) {
+      last.end = hour + 1;
+    } else {
+      ranges.push({ start: hour, end: hour + 1 });
+    }
+  });
+  return ranges
+    .map((range) => `${pad(range.start)}-${pad(range.end)}`)
+    .join(", ");
+}
+
+/**
+ * Weekday name of a date key in the grid tariff notation, e.g. "Mon".
+ */
+function getWeekdayName(dateKey) {
+  const weekday = new Date(`${dateKey}T12:00:00Z`).getUTCDay() || 7;
+  const name = WEEKDAY_NAMES[weekday - 1];
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+/**
+ * Month name of a date key with its year, e.g. "Oct 2026".
+ */
+function getMonthName(dateKey) {
+  const name = MONTH_NAMES[Number(dateKey.slice(5, 7)) - 1];
+  return `${name[0].toUpperCase()}${name.slice(1)} ${dateKey.slice(0, 4)}`;
+}
+
+/**
+ * Describes how `average` compares with `reference`, e.g. "12% below the
+ * 7-day average (0.8123 SEK/kWh)".
+ */
+function describeAgainstAverage(average, reference, label) {
+  if (reference === null) {
+    return `no ${label} average (no earlier prices loaded)`;
+  }
+  const change = ((average - reference) / Math.abs(reference)) * 100;
+  const percent = Math.abs(change).toFixed(0);
+  const direction = change < 0 ? "below" : "above";
+  const position = percent === "0" ? "level with" : `${percent}% ${direction}`;
+  return `${position} the ${label} average (${reference.toFixed(
+    4
+  )} ${TARGET_CURRENCY_UNIT})`;
+}
+
+/**
+ * Renders the history: today's comparison, typical cheapest hours and the
+ * daily table. `missing` lists the days without prices.
+ */
+function renderPriceHistory(zone, rangeDays, comparison, missing) {
+  const dailyRows = computeDailyStats(rangeDays)
+    .map(
+      (day) => `
+        <tr>
+          <td class="p-2">${day.dateKey} ${getWeekdayName(day.dateKey)}${
+        day.complete ? "" : " ⚠️"
+      }</td>
+          <td class="p-2 text-right">${day.average.toFixed(4)}</td>
+          <td class="p-2 text-right">${day.min.toFixed(4)}</td>
+          <td class="p-2 text-right">${day.max.toFixed(4)}</td>
+        </tr>`
+    )
+    .join("");
+  const cheapHourRows = (groups) =>
+    groups
+      .map(
+        (group) => `
+        <tr>
+          <td class="p-2">${group.label}</td>
+          <td class="p-2 font-semibold">${formatHourRanges(group.hours)}</td>
+          <td class="p-2 text-right">${group.average.toFixed(4)}</td>
+          <td class="p-2 text-right">${group.dayCount}</td>
+        </tr>`
+      )
+      .join("");
+  const cheapHourTable = (title, groups) => `
+      <p class="mt-4 text-sm font-semibold text-gray-700">${title}</p>
+      <table class="w-full text-sm text-gray-700 bg-white rounded border border-gray-100">
+        <thead>
+          <tr class="text-left text-gray-500">
+            <th class="p-2"></th>
+            <th class="p-2">Cheapest 3 hours</th>
+            <th class="p-2 text-right">Average</th>
+            <th class="p-2 text-right">Days</th>
+          </tr>
+        </thead>
+        <tbody>${cheapHourRows(groups)}</tbody>
+      </table>`;
+  const weekdayOrder = (group) =>
+    WEEKDAY_NAMES.indexOf(group.label.toLowerCase());
+
+  const todayText =
+    comparison.todayAverage === null
+      ? "Today's prices are not loaded, so today can't be compared."
+      : `Today averages ${comparison.todayAverage.toFixed(
+          4
+        )} ${TARGET_CURRENCY_UNIT}: ${describeAgainstAverage(
+          comparison.todayAverage,
+          comparison.average7,
+          "7-day"
+        )} and ${describeAgainstAverage(
+          comparison.todayAverage,
+          comparison.average30,
+          "30-day"
+        )}.`;
+  const missingText = missing.length
+    ? `<p class="mt-2 text-xs text-gray-500">No prices for ${
+        missing.length
+      } day${missing.length !== 1 ? "s" : ""}: ${missing
+        .slice(0, 5)
+        .join(", ")}${missing.length > 5 ? ", …" : ""}</p>`
+    : "";
+
+  return `
+      <p class="text-sm text-gray-700">📊 ${todayText}</p>
+      ${
+        rangeDays.length
+          ? `${cheapHourTable(
+              "Typical cheapest hours by weekday",
+              findTypicalCheapHours(rangeDays, getWeekdayName).sort(
+                (a, b) => weekdayOrder(a) - weekdayOrder(b)
+              )
+            )}
+      ${cheapHourTable(
+        "Typical cheapest hours by month",
+        findTypicalCheapHours(rangeDays, getMonthName)
+      )}
+      <p class="mt-4 text-sm font-semibold text-gray-700">Daily prices (${TARGET_CURRENCY_UNIT})</p>
+      <div class="max-h-64 overflow-y-auto">
+        <table class="w-full text-sm text-gray-700 bg-white rounded border border-gray-100">
+          <thead>
+            <tr class="text-left text-gray-500">
+              <th class="p-2">Day</th>
+              <th class="p-2 text-right">Average</th>
+              <th class="p-2 text-right">Min</th>
+              <th class="p-2 text-right">Max</th>
+            </tr>
+          </thead>
+          <tbody>${dailyRows}</tbody>
+        </table>
+      </div>`
+          : `<p class="mt-2 text-red-600 font-bold">No prices could be loaded for ${zone} in this range.</p>`
+      }
+      ${missingText}
+      <p class="text-xs text-gray-500 mt-2">
+        All-in prices with your current fees and VAT. ⚠️ marks days with only part of their prices.
+      </p>
+  `;
+}
+
+/**
+ * Draws today's hourly curve against the 7- and 30-day hourly averages.
+ */
+function renderHistoryChart(comparison) {
+  historyChartContainer.classList.remove("hidden");
+  if (historyChartInstance) {
+    historyChartInstance.destroy();
+  }
+  const line = (label, data, color, dashed) => ({
+    label,
+    data,
+    borderColor: color,
+    backgroundColor: color,
+    borderWidth: 2,
+    borderDash: dashed ? [6, 4] : [],
+    pointRadius: dashed ? 0 : 2,
+    tension: 0.2,
+    fill: false,
+  });
+  historyChartInstance = new Chart(historyChartCanvas.getContext("2d"), {
+    type: "line",
+    data: {
+      labels: Array.from(
+        { length: 24 },
+        (_, hour) => `${String(hour).padStart(2, "0")}:00`
+      ),
+      datasets: [
+        line("Today", comparison.todayProfile, CHART_COLORS.base, false),
+        line(
+          "7-day average",
+          comparison.profile7,
+          CHART_COLORS.highlight,
+          true
+        ),
+        line(
+          "30-day average",
+          comparison.profile30,
+          "rgb(107, 114, 128)",
+          true
+        ), // Gray-500
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: true,
+      scales: {
+        y: {
+          title: { display: true, text: `Price (${TARGET_CURRENCY_UNIT})` },
+          beginAtZero: true,
+        },
+      },
+    },
+  });
+}
+
+// --- Calendar Export ---
+// Slots are exported as iCalendar (RFC 5545) events in Stockholm time.
+
+/**
+ * Escapes text for an iCalendar TEXT value.
+ */
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuation lines
+ * starting with a space. Characters are never split.
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let chunk = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = chunks.length ? 74 : 75;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = "";
+      octets = 0;
+    }
+    chunk += char;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+}
+
+/**
+ * Formats a Date as an iCalendar UTC date-time, e.g. "20261019T120000Z".
+ */
+function formatIcsUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+/**
+ * A date-time property in Stockholm time, e.g.
+ * "DTSTART;TZID=Europe/Stockholm:20261019T020000". The repeated hour when
+ * clocks go back is ambiguous in local time, so it is written in UTC.
+ */
+function formatIcsDateTime(name, date) {
+  const { hour, minute } = getStockholmParts(date);
+  const dateKey = getStockholmDateKey(date);
+  if (stockholmToDate(dateKey, hour, minute).getTime() !== date.getTime()) {
+    return `${name}:${formatIcsUtc(date)}`;
+  }
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${name};TZID=${STOCKHOLM_TIME_ZONE}:${dateKey.replace(
+    /-/g,
+    ""
+  )}T${pad(hour)}${pad(minute)}00`;
+}
+
+/**
+ * Calendar events for a slot: one for a continuous run, one per piece of a
+ * split run. Each is `{ start, end, summary, description, cost }`.
+ */
+function buildSlotEvents(slot, plan) {
+  const describe = (cost, kwh, periods) => {
+    const lines = [
+      `Expected cost: ${formatSek(cost)} for ${kwh.toFixed(2)} kWh`,
+      `Average price: ${(
+        periods.reduce((sum, p) => sum + p.calculated_price, 0) / periods.length
+      ).toFixed(4)} ${TARGET_CURRENCY_UNIT}`,
+      `Price zone: ${plan.zone}`,
+    ];
+    const { kg, missing } = estimateRunEmissions(
+      periods,
+      slot.stepKwh.slice(0, periods.length)
+    );
+    if (missing < periods.length) {
+      lines.push(`Estimated emissions: ${kg.toFixed(2)} kg CO₂`);
+    }
+    return lines.join("\n");
+  };
+
+  if (!slot.segments) {
+    return [
+      {
+        start: slot.startTime,
+        end: slot.endTime,
+        summary: plan.name,
+        description: describe(slot.runCost, slot.energyKwh, slot.periods),
+        cost: slot.runCost,
+      },
+    ];
+  }
+  const count = slot.segments.length;
+  return slot.segments.map((segment, index) => ({
+    start: segment.startTime,
+    end: segment.endTime,
+    summary: count > 1 ? `${plan.name} (${index + 1}/${count})` : plan.name,
+    description: `${describe(
+      segment.runCost,
+      segment.periods.length * slot.stepKwh[0],
+      segment.periods
+    )}${
+      count > 1
+        ? `\nPiece ${index + 1} of ${count}; whole run ${formatSek(
+            slot.runCost
+          )}`
+        : ""
+    }`,
+    cost: segment.runCost,
+  }));
+}
+
+/**
+ * Builds an iCalendar file with `events`, each with a display alarm
+ * `reminderMinutes` before the start when set.
+ */
+function buildIcsCalendar(events, reminderMinutes = null, now = new Date()) {
+  const uidName = (text) =>
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...STOCKHOLM_VTIMEZONE,
+  ];
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      // Stable per start, so importing a refreshed plan updates the event
+      `UID:${formatIcsUtc(event.start)}-${
+        uidName(event.summary) || "run"
+      }@sweden-electricity-time-price-planner`,
+      `DTSTAMP:${formatIcsUtc(now)}`,
+      formatIcsDateTime("DTSTART", event.start),
+      formatIcsDateTime("DTEND", event.end),
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      "TRANSP:TRANSPARENT"
+    );
+    if (reminderMinutes) {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeIcsText(event.summary)}`,
+        `TRIGGER:-PT${reminderMinutes}M`,
+        "END:VALARM"
+      );
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Downloads the slot with rank `rank`, or every slot on screen when `rank`
+ * is "all", as an .ics file.
+ */
+function downloadSlotCalendar(rank) {
+  if (!lastCalendarPlan) return;
+  const slots =
+    rank === "all"
+      ? lastCalculatedSlots
+      : lastCalculatedSlots.filter((slot) => String(slot.rank) === rank);
+  if (!slots.length) return;
+  const events = slots.flatMap((slot) =>
+    buildSlotEvents(slot, lastCalendarPlan)
+  );
+  const reminderMinutes = parseInt(calendarReminderSelect.value) || null;
+  const fileName = `${
+    lastCalendarPlan.name.replace(/[^\p{L}\p{N}]+/gu, "-") || "slots"
+  }-${getStockholmDateKey(events[0].start)}-${formatStockholmTime(
+    events[0].start
+  ).replace(":", "")}.ics`;
+  downloadFile(
+    fileName,
+    buildIcsCalendar(events, reminderMinutes),
+    "text/calendar;charset=utf-8"
+  );
+}
+
+/**
+ * Renders the button that downloads every slot on screen to a calendar.
+ */
+function renderCalendarDownloadAll() {
+  return `
+      <button type="button" data-calendar-slot="all" class="mt-3 py-2 px-4 bg-white text-blue-700 font-semibold rounded-lg border border-blue-300 hover:bg-blue-50 transition duration-200">
+        📅 Download all as .ics
+      </button>
+  `;
+}
+
+// --- Slot Reminders ---
+// A slot can be armed from its card: a browser notification is shown
+// `leadMinutes` before each run (or piece of a split run) starts. Armed
+// reminders are stored as { id, name, zone, start, end, cost, leadMinutes,
+// notified, outdated } with ISO times, so they survive reloads. Notifications
+// only fire while the page (or the installed app) is open.
+
+/**
+ * Reads the armed reminders, dropping runs that have already ended.
+ */
+function readReminders() {
+  try {
+    const now = new Date().toISOString();
+    return (
+      JSON.parse(localStorage.getItem(cacheKeys.slotReminders)) || []
+    ).filter((reminder) => reminder.end > now);
+  } catch (e) {
+    console.error("Error reading reminders:", e);
+    return [];
+  }
+}
+
+/**
+ * Stores the armed reminders.
+ */
+function saveReminders() {
+  localStorage.setItem(cacheKeys.slotReminders, JSON.stringify(armedReminders));
+}
+
+/**
+ * The reminders a slot would arm: one per calendar event of the slot.
+ */
+function buildSlotReminders(slot, plan, leadMinutes) {
+  return buildSlotEvents(slot, plan).map((event) => ({
+    id: `${plan.zone}|${event.start.toISOString()}|${event.summary}`,
+    name: event.summary,
+    zone: plan.zone,
+    start: event.start.toISOString(),
+    end: event.end.toISOString(),
+    cost: event.cost,
+    leadMinutes,
+    notified: false,
+    outdated: false,
+  }));
+}
+
+/**
+ * Whether every run of the slot has an armed reminder.
+ */
+function isSlotArmed(slot) {
+  if (!lastCalendarPlan || !armedReminders.length) return false;
+  return buildSlotReminders(slot, lastCalendarPlan, 0).every((reminder) =>
+    armedReminders.some((armed) => armed.id === reminder.id)
+  );
+}
+
+/**
+ * Arms the reminders of the slot with rank `rank`, or cancels them if it is
+ * already armed. Asks for notification permission first.
+ */
+async function handleSlotReminder(rank) {
+  const slot = lastCalculatedSlots.find((s) => String(s.rank) === rank);
+  if (!slot || !lastCalendarPlan) return;
+  const reminders = buildSlotReminders(
+    slot,
+    lastCalendarPlan,
+    parseInt(reminderLeadSelect.value) || 0
+  );
+  const ids = reminders.map((reminder) => reminder.id);
+
+  if (isSlotArmed(slot)) {
+    armedReminders = armedReminders.filter(
+      (reminder) => !ids.includes(reminder.id)
+    );
+    renderReminders();
+  } else {
+    if (!("Notification" in window)) {
+      renderReminders("⚠️ This browser cannot show notifications.");
+      return;
+    }
+    if ((await Notification.requestPermission()) !== "granted") {
+      renderReminders(
+        "⚠️ Notifications are blocked for this page. Allow them in the browser's site settings to get reminders."
+      );
+      return;
+    }
+    armedReminders = [
+      ...armedReminders.filter((reminder) => !ids.includes(reminder.id)),
+      ...reminders,
+    ].sort((a, b) => a.start.localeCompare(b.start));
+    renderReminders();
+  }
+  savePreferences({ reminderLead: reminderLeadSelect.value });
+  saveReminders();
+  armReminderTimer();
+  refreshReminderButtons();
+}
+
+/**
+ * Relabels the reminder buttons on the slot cards after arming or
+ * cancelling.
+ */
+function refreshReminderButtons() {
+  document.querySelectorAll("[data-remind-slot]").forEach((button) => {
+    const slot = lastCalculatedSlots.find(
+      (s) => String(s.rank) === button.dataset.remindSlot
+    );
+    if (slot) {
+      button.textContent = isSlotArmed(slot)
+        ? "🔕 Cancel reminder"
+        : "🔔 Remind me before the start";
+    }
+  });
+}
+
+/**
+ * Shows a notification, through the service worker where one is active
+ * (required on Android) and directly otherwise.
+ */
+async function showNotification(title, body, tag) {
+  if (!("Notification" in window) || Notification.permission !== "granted") {
+    return;
+  }
+  const options = { body, tag, icon: "icon.svg" };
+  try {
+    const registration =
+      navigator.serviceWorker?.controller &&
+      (await navigator.serviceWorker.ready);
+    if (registration) {
+      await registration.showNotification(title, options);
+    } else {
+      new Notification(title, options);
+    }
+  } catch (e) {
+    console.error("Error showing notification:", e);
+  }
+}
+
+/**
+ * Notifies about every reminder that is due. A reminder missed while the
+ * page was closed still fires if its run has not ended.
+ */
+function fireDueReminders() {
+  const now = Date.now();
+  armedReminders = armedReminders.filter(
+    (reminder) => new Date(reminder.end).getTime() > now
+  );
+  armedReminders.forEach((reminder) => {
+    const start = new Date(reminder.start);
+    if (
+      reminder.notified ||
+      start.getTime() - reminder.leadMinutes * 60000 > now
+    ) {
+      return;
+    }
+    reminder.notified = true;
+    const when =
+      start.getTime() > now
+        ? `starts at ${formatStockholmTime(start)}`
+        : `started at ${formatStockholmTime(start)}`;
+    showNotification(
+      `⏰ ${reminder.name} ${when}`,
+      `Expected cost ${formatSek(reminder.cost)} in ${reminder.zone}.${
+        reminder.outdated
+          ? " A newer plan found a better time for this run."
+          : " Time to press start."
+      }`,
+      reminder.id
+    );
+  });
+  saveReminders();
+  renderReminders();
+  armReminderTimer();
+}
+
+/**
+ * Waits for the next reminder that is due. Like the price refresh, long
+ * waits are split up because background tabs throttle timers.
+ */
+function armReminderTimer() {
+  clearTimeout(reminderTimerId);
+  const dueTimes = armedReminders
+    .filter((reminder) => !reminder.notified)
+    .map(
+      (reminder) =>
+        new Date(reminder.start).getTime() - reminder.leadMinutes * 60000
+    );
+  if (!dueTimes.length) return;
+  const delay = Math.min(...dueTimes) - Date.now();
+  if (delay <= 0) {
+    fireDueReminders();
+    return;
+  }
+  reminderTimerId = setTimeout(
+    armReminderTimer,
+    Math.min(delay, REFRESH_TICK_MINUTES * 60000)
+  );
+}
+
+/**
+ * After a plan is rendered, flags armed reminders for the same appliance
+ * and zone whose run is no longer among the recommended slots, tells the
+ * user and returns the note for the results. Runs that have started are
+ * left alone.
+ */
+function checkArmedReminders() {
+  if (!lastCalendarPlan) return "";
+  const now = new Date().toISOString();
+  const planIds = new Set(
+    lastCalculatedSlots.flatMap((slot) =>
+      buildSlotReminders(slot, lastCalendarPlan, 0).map(
+        (reminder) => reminder.id
+      )
+    )
+  );
+  const baseName = (name) => name.replace(/ \(\d+\/\d+\)$/, "");
+  const affected = armedReminders.filter(
+    (reminder) =>
+      reminder.zone === lastCalendarPlan.zone &&
+      baseName(reminder.name) === lastCalendarPlan.name &&
+      reminder.start > now
+  );
+  const newlyOutdated = [];
+  affected.forEach((reminder) => {
+    const outdated = !planIds.has(reminder.id);
+    if (outdated && !reminder.outdated) newlyOutdated.push(reminder);
+    reminder.outdated = outdated;
+  });
+  saveReminders();
+  renderReminders();
+  if (!newlyOutdated.length) return "";
+
+  const best = lastCalculatedSlots[0];
+  const runs = newlyOutdated
+    .map(
+      (reminder) =>
+        `${escapeHtml(reminder.name)} at ${formatWindowTime(
+          new Date(reminder.start)
+        )}`
+    )
+    .join(", ");
+  const advice = best
+    ? ` The best start is now ${formatWindowTime(best.startTime)} (${formatSek(
+        best.runCost
+      )}).`
+    : "";
+  if (isBackgroundRefresh) {
+    showNotification(
+      "🔔 Your armed slot is no longer the best",
+      `New prices changed the plan for ${newlyOutdated[0].name}.${advice}`,
+      "reminders-outdated"
+    );
+  }
+  return `<p class="mt-3 p-3 rounded-lg bg-yellow-100 text-yellow-800 font-semibold">🔔 Your reminder for ${runs} is no longer among the recommended slots.${advice} Arm a new slot below, or keep the old reminder.</p>`;
+}
+
+/**
+ * Lists the armed reminders with a cancel button each, and `note` if set.
+ */
+function renderReminders(note = "") {
+  const items = armedReminders.map((reminder) => {
+    const start = new Date(reminder.start);
+    const state = reminder.notified
+      ? "notified"
+      : `${reminder.leadMinutes} min before`;
+    return `<li class="flex items-center justify-between gap-2">
+        <span>${reminder.outdated ? "⚠️" : "🔔"} ${escapeHtml(
+      reminder.name
+    )}: ${formatWindowTime(start)}, ${formatSek(reminder.cost)} (${state}${
+      reminder.outdated ? ", no longer recommended" : ""
+    })</span>
+        <button type="button" data-cancel-reminder="${escapeHtml(
+          reminder.id
+        )}" class="text-xs text-red-700 hover:underline">Cancel</button>
+      </li>`;
+  });
+  reminderList.innerHTML = `
+      ${
+        items.length
+          ? `<p class="font-semibold mb-1">Armed reminders</p><ul class="space-y-1">${items.join(
+              ""
+            )}</ul>`
+          : ""
+      }
+      ${note ? `<p class="mt-1">${note}</p>` : ""}
+  `;
+  reminderList.classList.toggle("hidden", !items.length && !note);
+}
+
+/**
+ * Cancels one armed reminder from the list.
+ */
+function handleCancelReminder(id) {
+  armedReminders = armedReminders.filter((reminder) => reminder.id !== id);
+  saveReminders();
+  renderReminders();
+  armReminderTimer();
+  refreshReminderButtons();
+}
+
+// --- Price Alerts ---
+// Alert rules, one per line, are checked against every newly parsed price
+// series:
+//   <all-in|spot> <below|above> <SEK/kWh>   e.g. "spot below 0"
+//   tomorrow average <below|above> today
+// Periods that have not ended are matched, and back-to-back matches merge
+// into one region. Notified matches are kept in localStorage as
+// [{ key, until }], so each is only announced once.
+
+const PRICE_ALERT_FIELDS = {
+  "all-in": "calculated_price",
+  spot: "base_price",
+};
+
+/**
+ * Parses the alert rules. Blank lines and lines starting with "#" are
+ * skipped. Returns `{ rules }`, or `{ error }` naming the bad line.
+ */
+function parsePriceAlertRules(text) {
+  const rules = [];
+  for (const line of readTariffLines(text)) {
+    const words = line.text.toLowerCase().split(/\s+/);
+    const threshold = Number((words[2] || "").replace(",", "."));
+    if (
+      words.length === 3 &&
+      PRICE_ALERT_FIELDS[words[0]] &&
+      ["below", "above"].includes(words[1]) &&
+      words[2] !== "" &&
+      !isNaN(threshold)
+    ) {
+      rules.push({
+        line: line.text,
+        field: PRICE_ALERT_FIELDS[words[0]],
+        direction: words[1],
+        threshold,
+      });
+    } else if (
+      words.length === 4 &&
+      words[0] === "tomorrow" &&
+      words[1] === "average" &&
+      ["below", "above"].includes(words[2]) &&
+      words[3] === "today"
+    ) {
+      rules.push({ line: line.text, direction: words[2], compareDays: true });
+    } else {
+      return {
+        error: `Price alert line ${line.number} ("${line.text}") should look like "all-in below 0.10", "spot below 0" or "tomorrow average below today".`,
+      };
+    }
+  }
+  return { rules };
+}
+
+/**
+ * Whether `value` is past `limit` in the rule's direction.
+ */
+function isPastAlertLimit(value, direction, limit) {
+  return direction === "below" ? value < limit : value > limit;
+}
+
+/**
+ * All-in average of a whole Stockholm day, weighted by period length, or
+ * `null` unless the prices cover the full day.
+ */
+function getDayAveragePrice(prices, dateKey) {
+  const day = prices.filter((p) => p.dateKey === dateKey);
+  const minutes = sumPeriodMinutes(day);
+  if (minutes < getStockholmPeriodsInDay(dateKey) * PERIOD_MINUTES) {
+    return null;
+  }
+  return (
+    day.reduce((sum, p) => sum + p.calculated_price * p.durationMinutes, 0) /
+    minutes
+  );
+}
+
+/**
+ * Matches of the alert `rules` in `prices`. A price rule gives one match
+ * per region, `{ rule, key, start, end, extreme }` with the lowest or
+ * highest price in it; a day comparison gives `{ rule, key, end,
+ * todayAverage, tomorrowAverage }`.
+ */
+function findPriceAlerts(prices, rules, now = new Date()) {
+  const todayKey = getStockholmDateKey(now);
+  const tomorrowKey = addStockholmDays(todayKey, 1);
+  const upcoming = prices.filter((p) => p.endTime > now);
+
+  return rules.flatMap((rule) => {
+    if (rule.compareDays) {
+      const todayAverage = getDayAveragePrice(prices, todayKey);
+      const tomorrowAverage = getDayAveragePrice(prices, tomorrowKey);
+      return todayAverage !== null &&
+        tomorrowAverage !== null &&
+        isPastAlertLimit(tomorrowAverage, rule.direction, todayAverage)
+        ? [
+            {
+              rule,
+              key: `${rule.line}|${tomorrowKey}`,
+              end: stockholmToDate(addStockholmDays(tomorrowKey, 1)),
+              todayAverage,
+              tomorrowAverage,
+            },
+          ]
+        : [];
+    }
+    const pick = rule.direction === "below" ? Math.min : Math.max;
+    const regions = [];
+    upcoming.forEach((p) => {
+      const price = p[rule.field];
+      if (!isPastAlertLimit(price, rule.direction, rule.threshold)) return;
+      const last = regions[regions.length - 1];
+      if (last && last.end.getTime() === p.timestamp.getTime()) {
+        last.end = p.endTime;
+        last.extreme = pick(last.extreme, price);
+      } else {
+        regions.push({ start: p.timestamp, end: p.endTime, extreme: price });
+      }
+    });
+    return regions.map((region) => ({
+      rule,
+      key: `${rule.line}|${region.start.toISOString()}`,
+      ...region,
+    }));
+  });
+}
+
+/**
+ * Describes one alert match, e.g. "tis 16 juni 02:00 – 04:00, lowest
+ * 0.0512 SEK/kWh".
+ */
+function describePriceAlert(match) {
+  if (match.rule.compareDays) {
+    return `Tomorrow averages ${match.tomorrowAverage.toFixed(
+      4
+    )} ${TARGET_CURRENCY_UNIT} all-in, against ${match.todayAverage.toFixed(
+      4
+    )} today`;
+  }
+  const sameDay =
+    getStockholmDateKey(match.start) === getStockholmDateKey(match.end);
+  return `${formatWindowTime(match.start)} – ${
+    sameDay ? formatStockholmTime(match.end) : formatWindowTime(match.end)
+  }, ${
+    match.rule.direction === "below" ? "lowest" : "highest"
+  } ${match.extreme.toFixed(4)} ${TARGET_CURRENCY_UNIT}`;
+}
+
+/**
+ * Checks the alert rules against a newly parsed price series, lists the
+ * matches and, if enabled, notifies about new ones. Replayed price files
+ * are never notified about.
+ */
+function checkPriceAlerts(prices, now = new Date()) {
+  const { rules = [], error } = parsePriceAlertRules(
+    priceAlertRulesInput.value
+  );
+  priceAlertMatches = error ? [] : findPriceAlerts(prices, rules, now);
+  renderPriceAlerts(rules.length, error);
+  if (priceAlertNotifyInput.checked && !importedPriceSeries) {
+    notifyPriceAlerts(priceAlertMatches);
+  }
+}
+
+/**
+ * Lists the alert matches above the results; hidden without rules.
+ */
+function renderPriceAlerts(ruleCount, error = "") {
+  let html = "";
+  if (error) {
+    html = `<p class="text-red-700">⚠️ ${escapeHtml(error)}</p>`;
+  } else if (!priceAlertMatches.length) {
+    html = "🚨 No price alerts in the loaded prices.";
+  } else {
+    html = `<p class="font-semibold mb-1">🚨 Price alerts</p>
+      <ul class="list-disc list-inside space-y-1">${priceAlertMatches
+        .map(
+          (match) =>
+            `<li><span class="font-semibold">${escapeHtml(
+              match.rule.line
+            )}</span>: ${describePriceAlert(match)}</li>`
+        )
+        .join("")}</ul>`;
+  }
+  priceAlertsBox.innerHTML = html;
+  priceAlertsBox.classList.toggle("hidden", !ruleCount && !error);
+}
+
+/**
+ * Notifies about every match not notified before, and forgets matches that
+ * have ended.
+ */
+function notifyPriceAlerts(matches) {
+  let notified = [];
+  try {
+    notified =
+      JSON.parse(localStorage.getItem(cacheKeys.priceAlertsNotified)) || [];
+  } catch (e) {
+    console.error("Error reading notified price alerts:", e);
+  }
+  const now = new Date().toISOString();
+  notified = notified.filter((entry) => entry.until > now);
+  matches.forEach((match) => {
+    if (notified.some((entry) => entry.key === match.key)) return;
+    showNotification(
+      `🚨 Price alert: ${match.rule.line}`,
+      `${describePriceAlert(match)}.`,
+      match.key
+    );
+    notified.push({ key: match.key, until: match.end.toISOString() });
+  });
+  localStorage.setItem(cacheKeys.priceAlertsNotified, JSON.stringify(notified));
+}
+
+/**
+ * Saves the alert settings, asking for notification permission when
+ * notifications are turned on.
+ */
+async function savePriceAlertSettings() {
+  if (
+    priceAlertNotifyInput.checked &&
+    "Notification" in window &&
+    (await Notification.requestPermission()) !== "granted"
+  ) {
+    priceAlertNotifyInput.checked = false;
+  }
+  savePreferences({
+    priceAlertRules: priceAlertRulesInput.value,
+    priceAlertNotify: priceAlertNotifyInput.checked,
+  });
+}
+
+// --- Data Export ---
+// The prices behind the last plan and its slots can be saved as CSV or JSON.
+// An exported price file can be loaded again to re-run the planner on it.
+
+/**
+ * Formats `rows` as CSV with a header line; `columns` maps each header to
+ * the row property it reads.
+ */
+function toCsv(rows, columns) {
+  const quote = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((column) => quote(row[column])).join(",")),
+  ].join("\r\n");
+}
+
+/**
+ * Rounds away floating point noise for export, e.g. 0.30000000000000004.
+ */
+function roundForExport(value, decimals = 5) {
+  return typeof value === "number" ? Number(value.toFixed(decimals)) : null;
+}
+
+/**
+ * One export row per price period: spot price as published plus the grid
+ * fee and the all-in price with every fee and VAT.
+ */
+function buildPriceExportRows(prices) {
+  return prices.map((p) => ({
+    time_start: p.timestamp.toISOString(),
+    time_end: p.endTime.toISOString(),
+    spot_SEK_per_kWh: p.base_price,
+    grid_fee_SEK_per_kWh: roundForExport(p.grid_fee),
+    all_in_SEK_per_kWh: roundForExport(p.calculated_price),
+  }));
+}
+
+/**
+ * One export row per recommended slot. Split runs list their pieces.
+ */
+function buildSlotExportRows(slots) {
+  return slots.map((slot) => {
+    const { kg, missing } = estimateRunEmissions(slot.periods, slot.stepKwh);
+    return {
+      rank: slot.rank,
+      start: slot.startTime.toISOString(),
+      end: slot.endTime.toISOString(),
+      run_cost_SEK: roundForExport(slot.runCost, 2),
+      energy_kWh: roundForExport(slot.energyKwh, 3),
+      average_price_SEK_per_kWh: roundForExport(slot.averagePrice),
+      power_charge_SEK:
+        typeof slot.powerCost === "number"
+          ? roundForExport(slot.powerCost, 2)
+          : null,
+      co2_kg: missing < slot.periods.length ? roundForExport(kg, 3) : null,
+      pieces: slot.segments
+        ? slot.segments
+            .map(
+              (segment) =>
+                `${segment.startTime.toISOString()}/${segment.endTime.toISOString()}`
+            )
+            .join(" ")
+        : null,
+    };
+  });
+}
+
+/**
+ * Reads an exported price file (JSON or CSV) back into provider rows. JSON
+ * exports and plain arrays in the elprisetjustnu.se format are accepted;
+ * CSV needs a header with `time_start` and `spot_SEK_per_kWh`. Returns
+ * `{ zone, planTime, rows }`; without a recorded plan time the file is
+ * planned as of its first period.
+ */
+function parsePriceExport(text) {
+  let zone = null;
+  let planTime = null;
+  let rows;
+  if (/^\s*[[{]/.test(text)) {
+    const data = JSON.parse(text);
+    const prices = Array.isArray(data) ? data : data.prices;
+    if (!Array.isArray(prices)) {
+      throw new Error("no price list found in the JSON file.");
+    }
+    zone = data.zone || null;
+    planTime = data.planTime || null;
+    rows = prices.map((row) => ({
+      SEK_per_kWh: row.spot_SEK_per_kWh ?? row.SEK_per_kWh,
+      time_start: row.time_start,
+      time_end: row.time_end,
+    }));
+  } else {
+    const lines = text.split(/\r?\n/).filter((line) => line.trim());
+    const delimiter = lines[0]?.includes(";") ? ";" : ",";
+    const header = (lines[0] || "")
+      .split(delimiter)
+      .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+    const startColumn = header.indexOf("time_start");
+    const endColumn = header.indexOf("time_end");
+    const spotColumn = header.findIndex(
+      (cell) => cell === "spot_SEK_per_kWh" || cell === "SEK_per_kWh"
+    );
+    if (startColumn === -1 || spotColumn === -1) {
+      throw new Error(
+        "expected a header with time_start and spot_SEK_per_kWh columns."
+      );
+    }
+    rows = lines.slice(1).map((line) => {
+      const cells = line
+        .split(delimiter)
+        .map((cell) => cell.trim().replace(/^"|"$/g, ""));
+      return {
+        SEK_per_kWh: parseFloat(cells[spotColumn]),
+        time_start: cells[startColumn],
+        time_end: endColumn === -1 ? undefined : cells[endColumn],
+      };
+    });
+  }
+
+  rows = rows.filter(
+    (row) =>
+      typeof row.SEK_per_kWh === "number" &&
+      !isNaN(row.SEK_per_kWh) &&
+      !isNaN(new Date(row.time_start).getTime())
+  );
+  if (!rows.length) {
+    throw new Error("no prices found in the file.");
+  }
+  rows.sort(
+    (a, b) =>
+      new Date(a.time_start).getTime() - new Date(b.time_start).getTime()
+  );
+  return {
+    zone,
+    planTime: planTime || new Date(rows[0].time_start).toISOString(),
+    rows,
+  };
+}
+
+/**
+ * The moment plans are made for: now, or when the replayed price file was
+ * exported, so a replayed plan sees the same past and upcoming periods.
+ */
+function getPlanTime() {
+  return importedPriceSeries
+    ? new Date(importedPriceSeries.planTime)
+    : new Date();
+}
+
+/**
+ * The replayed price file in the shape `checkCacheAndFetchPrices` returns.
+ */
+function loadImportedPrices() {
+  const { fileName, rows, planTime } = importedPriceSeries;
+  return {
+    allRawPrices: rows,
+    statusMessage: `📂 Re-running on ${escapeHtml(fileName)}: ${
+      rows.length
+    } periods from ${formatWindowTime(
+      new Date(rows[0].time_start)
+    )}, planned as of ${formatWindowTime(new Date(planTime))}.`,
+    isCached: true,
+  };
+}
+
+// --- Shareable Links ---
+// The planner form can be shared as a link with its state in the URL hash,
+// e.g. "#zone=SE3&minutes=150&window=night". Opening one runs the plan.
+
+/**
+ * Whether a link parameter belongs in a link built from `values` (the
+ * current value of every parameter, by name). Settings that the rest of the
+ * form switches off are left out.
+ */
+function isLinkParamUsed(name, values) {
+  switch (name) {
+    case "minRun":
+    case "maxPieces":
+      return values.mode === LOAD_MODES.interruptible && values[name] !== "";
+    case "profile":
+      return values.unit === LOAD_UNITS.profile;
+    case "from":
+    case "to":
+      return values.window === CUSTOM_WINDOW;
+    case "tariffRules":
+      return values.tariff === GRID_TARIFF_MODES.timeOfUse;
+    case "peaks":
+    case "peakHours":
+    case "baseLoad":
+      return parseFloat(values.powerCharge) > 0;
+    case "currentPeaks":
+      return parseFloat(values.powerCharge) > 0 && values[name] !== "";
+    case "solarPeak":
+    case "sunrise":
+    case "sunset":
+      return values.solar === SOLAR_MODES.curve;
+    case "solarLoad":
+    case "exportAdjust":
+      return values.solar !== SOLAR_MODES.off;
+    case "carbonWeight":
+      return values.carbon !== "off";
+    default:
+      return true;
+  }
+}
+
+/**
+ * Builds a link to the planner with the current form state in its hash.
+ * Saved window presets are shared as the custom window they resolve to.
+ */
+function buildShareLink() {
+  const values = {};
+  LINK_PARAMS.forEach(({ name, id }) => {
+    values[name] = document.getElementById(id).value.trim();
+  });
+  if (!WINDOW_PRESETS[values.window]) {
+    values.window = CUSTOM_WINDOW;
+  }
+  const params = new URLSearchParams();
+  LINK_PARAMS.forEach(({ name }) => {
+    if (isLinkParamUsed(name, values)) {
+      params.set(name, values[name]);
+    }
+  });
+  return `${location.href.split("#")[0]}#${params}`;
+}
+
+/**
+ * Checks one link parameter, returning a message if it is invalid.
+ */
+function validateLinkParam(param, value) {
+  const input = document.getElementById(param.id);
+  switch (param.type) {
+    case "select": {
+      const options = [...input.options].map((option) => option.value);
+      return options.includes(value)
+        ? null
+        : `"${param.name}" must be one of ${options.join(", ")}.`;
+    }
+    case "window":
+      return WINDOW_PRESETS[value] || value === CUSTOM_WINDOW
+        ? null
+        : `"window" must be one of ${[
+            ...Object.keys(WINDOW_PRESETS),
+            CUSTOM_WINDOW,
+          ].join(", ")}.`;
+    case "int":
+    case "number": {
+      const number = Number(value);
+      const valid =
+        value !== "" &&
+        !isNaN(number) &&
+        (param.type === "number" || Number.isInteger(number)) &&
+        number >= param.min &&
+        number <= param.max;
+      return valid
+        ? null
+        : `"${param.name}" must be a ${
+            param.type === "int" ? "whole number" : "number"
+          } from ${param.min} to ${param.max}.`;
+    }
+    case "time":
+      return /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+        ? null
+        : `"${param.name}" must be a time like 06:00.`;
+    case "kwList":
+      return value
+        .split(/[\s,;]+/)
+        .filter(Boolean)
+        .every((kw) => !isNaN(kw) && Number(kw) >= 0)
+        ? null
+        : `"${param.name}" must list kW values, e.g. "5.1; 4.8; 4.6".`;
+    case "datetime":
+      return parseDateTimeLocal(value)
+        ? null
+        : `"${param.name}" must be a Swedish date and time like 2026-10-19T22:00.`;
+    case "profile":
+      return parseLoadProfile(value)
+        ? null
+        : `"profile" must list kW per 15-minute step, e.g. "2.0, 0.7, 0.1".`;
+    case "tariffRules":
+    case "peakHours": {
+      const parse =
+        param.type === "tariffRules"
+          ? parseGridTariffRules
+          : parsePowerPeakHours;
+      const { error } = parse(value);
+      return error ? `"${param.name}": ${error}` : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads planner state from a URL hash. Returns `{ values, errors }` with
+ * the values by form field id; `values` is `null` when the hash has no
+ * planner state. Unknown and invalid parameters are all reported.
+ */
+function parseShareLink(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  if (![...params.keys()].length) {
+    return { values: null, errors: [] };
+  }
+  const errors = [];
+  const values = {};
+  params.forEach((value, name) => {
+    const param = LINK_PARAMS.find((p) => p.name === name);
+    if (!param) {
+      errors.push(`Unknown setting "${name}".`);
+      return;
+    }
+    const error = validateLinkParam(param, value.trim());
+    if (error) {
+      errors.push(
+        param.type === "tariffRules" || param.type === "peakHours"
+          ? error
+          : `${error} The link has "${value}".`
+      );
+    } else {
+      values[param.id] = value.trim();
+    }
+  });
+
+  if (params.get("window") === CUSTOM_WINDOW) {
+    const from = parseDateTimeLocal(params.get("from"));
+    const to = parseDateTimeLocal(params.get("to"));
+    if (!params.has("from") || !params.has("to")) {
+      errors.push('A custom "window" needs both "from" and "to".');
+    } else if (from && to && to <= from) {
+      errors.push('"to" must be after "from".');
+    }
+  }
+  if (
+    values.solarMode === SOLAR_MODES.curve &&
+    values.solarSunrise &&
+    values.solarSunset &&
+    values.solarSunset <= values.solarSunrise
+  ) {
+    errors.push('"sunset" must be after "sunrise".');
+  }
+  return { values, errors };
+}
+
+/**
+ * Fills the form from a shared link and runs the plan. Nothing is changed
+ * when the link has invalid settings; they are listed instead.
+ */
+function openShareLink() {
+  const { values, errors } = parseShareLink(location.hash);
+  if (!values) return;
+  if (errors.length) {
+    messageBox.innerHTML = `
+      <p class="text-red-600 font-bold">This link could not be opened:</p>
+      <ul class="list-disc list-inside text-red-600">
+        ${errors.map((error) => `<li>${escapeHtml(error)}</li>`).join("")}
+      </ul>`;
+    return;
+  }
+  Object.entries(values).forEach(([id, value]) => {
+    document.getElementById(id).value = value;
+  });
+  if (values.timeSlot && values.timeSlot !== CUSTOM_WINDOW) {
+    applySelectedWindowPreset();
+  }
+  updateLoadModeOptions();
+  updateLoadUnitOptions();
+  updateGridTariffOptions();
+  updateSolarOptions();
+  updateCarbonOptions();
+  // The plan saves the rest of the form
+  savePriceSourceSettings();
+  saveSolarSettings();
+  saveCarbonSettings();
+  handleCalculate();
+}
+
+/**
+ * Copies a link to the current plan, or shows it when the clipboard is not
+ * available.
+ */
+async function handleCopyLink() {
+  const link = buildShareLink();
+  try {
+    await navigator.clipboard.writeText(link);
+    shareLinkStatus.textContent = "✅ Link copied.";
+  } catch (error) {
+    shareLinkStatus.textContent = link;
+  }
+}
+
+// --- LLM Logic ---
+
+/**
+ * Calls the Gemini API with exponential backoff.
  */
 async function callGeminiApi(payload, maxRetries = 3) {
   const url = `${GEMINI_API_URL}${API_KEY}`;
 
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      const response = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
-      });
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+
+      if (response.ok) {
+        const result = await response.json();
+        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (text) return text;
+        throw new Error("Gemini response structure invalid or empty.");
+      } else if (response.status === 429) {
+        // Too many requests - retry
+        throw new Error("Rate limit exceeded.");
+      } else {
+        // Other HTTP error
+        throw new Error(`Gemini API HTTP error: ${response.status}`);
+      }
+    } catch (error) {
+      console.warn(`[Gemini Attempt ${attempt + 1}] Error: ${error.message}`);
+      if (attempt === maxRetries - 1) {
+        throw new Error(
+          "Failed to get response from AI assistant after multiple retries."
+        );
+      }
+      // Wait with exponential backoff
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.pow(2, attempt) * 1000)
+      );
+    }
+  }
+}
+
+/**
+ * Formats context and calls the Gemini API for optimization advice.
+ */
+async function handleStrategyGeneration() {
+  const userTasks = taskInput.value.trim();
+
+  if (!userTasks) {
+    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">Please enter your energy tasks first (e.g., "Run washing machine for 2 hours").</p>`;
+    return;
+  }
+  if (lastCalculatedSlots.length === 0) {
+    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">Please run the main price calculation first to find the cheapest slots.</p>`;
+    return;
+  }
+
+  // Start loading state
+  generateStrategyButton.disabled = true;
+  geminiLoadingSpinner.classList.remove("hidden");
+  strategyOutput.innerHTML =
+    '<p class="text-purple-600 font-bold">Analyzing tasks and generating optimal schedule...</p>';
+
+  try {
+    // 1. Prepare Context
+    const timeOptions = {
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: STOCKHOLM_TIME_ZONE,
+    };
+    const slotsContext = lastCalculatedSlots
+      .map((slot) => {
+        const startTimeStr = slot.startTime.toLocaleTimeString(
+          "sv-SE",
+          timeOptions
+        );
+        const endTimeStr = slot.endTime.toLocaleTimeString(
+          "sv-SE",
+          timeOptions
+        );
+        const dateStr = formatStockholmDayTag(slot.startTime);
+        const avgPrice = slot.averagePrice.toFixed(4);
+        const hours = sumPeriodMinutes(slot.periods) / 60;
+        const startNowText =
+          typeof slot.startNowCost === "number"
+            ? ` Starting now instead would cost ${formatSek(
+                slot.startNowCost
+              )}.`
+            : "";
+
+        const { kg, missing } = estimateRunEmissions(
+          slot.periods,
+          slot.stepKwh
+        );
+        const carbonText =
+          missing < slot.periods.length
+            ? ` Estimated emissions: ${kg.toFixed(2)} kg CO₂.`
+            : "";
+
+        return `Rank #${
+          slot.rank
+        } (${hours} hours): ${dateStr} from ${startTimeStr} to ${endTimeStr}. Average Price (incl. fees): ${avgPrice} ${TARGET_CURRENCY_UNIT}. Run cost: ${formatSek(
+          slot.runCost
+        )} for ${slot.energyKwh.toFixed(2)} kWh${
+          typeof slot.powerCost === "number"
+            ? `, of which ${formatSek(slot.powerCost)} is added power charge`
+            : ""
+        }.${carbonText}${startNowText}`;
+      })
+      .join("\n");
+
+    const gridFeeContext = lastCalculatedUserFees.gridTariff?.rules
+      ? `time-of-use, set per period by these rules (months weekdays hours SEK/kWh, first match wins, otherwise ${
+          lastCalculatedUserFees.gridFee
+        } SEK/kWh): ${lastCalculatedUserFees.gridTariff.rules
+          .map((rule) => rule.line)
+          .join("; ")}`
+      : `${lastCalculatedUserFees.gridFee} SEK/kWh`;
+    const powerTariff = lastCalculatedUserFees.powerTariff;
+    const powerContext = powerTariff
+      ? ` The grid operator also bills a monthly power charge of ${powerTariff.chargePerKw.toFixed(
+          2
+        )} SEK/kW (incl. VAT) on the average of the ${
+          powerTariff.peaksAveraged
+        } highest hourly peaks, so heavy loads should not stack in the same hour.`
+      : "";
+    const feesContext = `User's applied fees are: Grid Fee: ${gridFeeContext}, Supplier Markup: ${lastCalculatedUserFees.supplierMarkup} SEK/kWh, Certificate Fee: ${lastCalculatedUserFees.certificateFee} SEK/kWh, Energy Tax: ${lastCalculatedUserFees.energyTax} SEK/kWh, VAT: ${lastCalculatedUserFees.vat}%.${powerContext}`;
+    const loadContext = `The slots above were calculated for an appliance using ${lastCalculatedLoad.energyKwh.toFixed(
+      2
+    )} kWh per run (${lastCalculatedLoad.powerKw.toFixed(2)} kW on average)${
+      lastCalculatedLoad.profileKw
+        ? `, following this load profile in kW per 15-minute step: ${lastCalculatedLoad.profileKw.join(
+            ", "
+          )}`
+        : ""
+    }.`;
+
+    const systemPrompt = `You are an expert energy consultant specializing in Nordic spot market optimization. Your goal is to help the user schedule their energy-intensive tasks into the provided cheapest time slots to minimize costs. 
+                
+                Instructions:
+                1. Based on the user's input, allocate their tasks (like running a machine for a specific duration) into the available cheapest slots provided in the context.
+                2. Prioritize the lower ranked (cheaper) slots first.
+                3. Provide the advice in a clear, markdown-formatted list with specific time recommendations.
+                4. Conclude with a very brief summary of the potential cost benefit (e.g., "You utilized the two cheapest slots.").`;
+
+    const userQuery = `My available cheapest time slots are (Rank #1 is cheapest):\n${slotsContext}\n\n${feesContext}\n${loadContext}\n\nI need to perform these tasks. Please generate the optimal schedule for me:\n"${userTasks}"`;
+
+    // 2. Call API
+    const payload = {
+      contents: [{ parts: [{ text: userQuery }] }],
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+    };
+
+    const aiResponse = await callGeminiApi(payload);
+
+    // 3. Render Result
+    strategyOutput.innerHTML = aiResponse;
+  } catch (error) {
+    console.error("Gemini Assistant Error:", error);
+    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">❌ Error generating strategy: ${error.message}. Please check your task details and try again.</p>`;
+  } finally {
+    // End loading state
+    generateStrategyButton.disabled = false;
+    geminiLoadingSpinner.classList.add("hidden");
+  }
+}
+
+/**
+ * Merges `updates` into the preferences saved in localStorage, keeping
+ * settings that other parts of the planner saved.
+ */
+function savePreferences(updates) {
+  let prefs = {};
+  try {
+    prefs = JSON.parse(localStorage.getItem(cacheKeys.userPreferences)) || {};
+  } catch (e) {
+    console.error("Error reading user preferences:", e);
+  }
+  localStorage.setItem(
+    cacheKeys.userPreferences,
+    JSON.stringify({ ...prefs, ...updates })
+  );
+}
+
+/**
+ * Reads the user-defined fees from the form.
+ */
+function readUserFees() {
+  const vat = parseFloat(vatPercentageInput.value) || 0;
+  return {
+    gridFee: parseFloat(gridFeeInput.value) || 0,
+    gridTariff:
+      gridTariffModeSelect.value === GRID_TARIFF_MODES.timeOfUse
+        ? parseGridTariffRules(gridTariffRulesInput.value)
+        : null,
+    powerTariff: readPowerTariff(vat),
+    supplierMarkup: parseFloat(supplierMarkupInput.value) || 0,
+    certificateFee: parseFloat(certificateFeeInput.value) || 0,
+    supplierMonthlyFee: parseFloat(supplierMonthlyFeeInput.value) || 0,
+    energyTax: parseFloat(energyTaxInput.value) || 0,
+    vat,
+  };
+}
+
+/**
+ * Reads the monthly power charge settings, or `null` when no charge is set.
+ * The charge is entered excl. VAT like the grid fee; returns `{ error }` if
+ * a setting is invalid.
+ */
+function readPowerTariff(vat) {
+  const chargePerKw = parseFloat(powerChargeInput.value) || 0;
+  if (chargePerKw <= 0) {
+    return null;
+  }
+  const peaksAveraged = parseInt(powerPeaksAveragedInput.value);
+  const baseLoadKw = parseFloat(powerBaseLoadInput.value) || 0;
+  const currentPeaksKw = powerCurrentPeaksInput.value
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number);
+  const peakHours = parsePowerPeakHours(powerPeakHoursInput.value);
+  if (isNaN(peaksAveraged) || peaksAveraged < 1) {
+    return { error: "Please enter how many peaks are averaged (1 or more)." };
+  }
+  if (baseLoadKw < 0 || currentPeaksKw.some((kw) => isNaN(kw) || kw < 0)) {
+    return {
+      error:
+        'Please enter this month\'s peaks and the other household load as kW, e.g. "5.1; 4.8; 4.6".',
+    };
+  }
+  if (peakHours.error) {
+    return { error: peakHours.error };
+  }
+  return {
+    chargePerKw: chargePerKw * (1 + vat / 100),
+    peaksAveraged,
+    baseLoadKw,
+    currentPeaksKw,
+    peakHours: peakHours.rules,
+    // Recorded peaks belong to the current Stockholm month
+    monthKey: getStockholmDateKey(new Date()).slice(0, 7),
+  };
+}
+
+/**
+ * Shows the time-of-use rules only when that grid fee type is selected.
+ */
+function updateGridTariffOptions() {
+  gridTariffOptions.classList.toggle(
+    "hidden",
+    gridTariffModeSelect.value !== GRID_TARIFF_MODES.timeOfUse
+  );
+}
+
+/**
+ * Reads how many days of prices to keep cached, today included.
+ */
+function readCacheRetentionDays() {
+  const days = parseInt(cacheRetentionDaysInput.value);
+  return isNaN(days) || days < 1 ? DEFAULT_CACHE_RETENTION_DAYS : days;
+}
+
+/**
+ * Reads the price data source settings from the form.
+ */
+function readPriceSourceSettings() {
+  const fixturePath = fixturePathInput.value.trim() || DEFAULT_FIXTURE_PATH;
+  return {
+    provider: PRICE_PROVIDERS[priceProviderSelect.value]
+      ? priceProviderSelect.value
+      : DEFAULT_PRICE_PROVIDER,
+    entsoeToken: entsoeTokenInput.value.trim(),
+    eurSekRate: parseFloat(eurSekRateInput.value) || DEFAULT_EUR_SEK_RATE,
+    fixturePath: fixturePath.endsWith("/") ? fixturePath : `${fixturePath}/`,
+  };
+}
+
+/**
+ * Shows only the settings the selected price provider uses.
+ */
+function updatePriceProviderOptions() {
+  const provider = priceProviderSelect.value;
+  entsoeOptions.classList.toggle("hidden", provider !== "entsoe");
+  eurSekOptions.classList.toggle(
+    "hidden",
+    provider !== "entsoe" && provider !== "nordpool"
+  );
+  fixtureOptions.classList.toggle("hidden", provider !== "fixture");
+  priceImportOptions.classList.toggle(
+    "hidden",
+    !PRICE_PROVIDERS[provider]?.parseFile
+  );
+  priceImportStatus.textContent = "";
+}
+
+/**
+ * Reads the solar settings, or `null` when solar is off. Returns `{ error }`
+ * if a setting is missing or invalid.
+ */
+function readSolarSettings() {
+  const mode = solarModeSelect.value;
+  if (mode !== SOLAR_MODES.curve && mode !== SOLAR_MODES.upload) {
+    return null;
+  }
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(":").map(Number);
+    return hour * 60 + minute;
+  };
+  const solar = {
+    mode,
+    peakKw: parseFloat(solarPeakKwInput.value),
+    sunriseMinutes: toMinutes(solarSunriseInput.value || "0:0"),
+    sunsetMinutes: toMinutes(solarSunsetInput.value || "0:0"),
+    forecastByHour: new Map(
+      pvForecastRows.map((row) => [new Date(row.start).getTime(), row.kw])
+    ),
+    baseLoadKw: parseFloat(solarBaseLoadInput.value) || 0,
+    exportAdjustment: parseFloat(exportAdjustmentInput.value) || 0,
+  };
+  if (
+    mode === SOLAR_MODES.curve &&
+    (isNaN(solar.peakKw) ||
+      solar.peakKw < 0 ||
+      solar.sunsetMinutes <= solar.sunriseMinutes)
+  ) {
+    return {
+      error:
+        "Please enter the solar peak in kW and a sunset after the sunrise.",
+    };
+  }
+  if (mode === SOLAR_MODES.upload && !pvForecastRows.length) {
+    return { error: "Please upload an hourly solar forecast first." };
+  }
+  return solar;
+}
+
+/**
+ * Shows the solar fields that belong to the selected mode.
+ */
+function updateSolarOptions() {
+  const mode = solarModeSelect.value;
+  solarOptions.classList.toggle("hidden", mode === SOLAR_MODES.off);
+  solarCurveOptions.classList.toggle("hidden", mode !== SOLAR_MODES.curve);
+  solarUploadOptions.classList.toggle("hidden", mode !== SOLAR_MODES.upload);
+}
+
+/**
+ * Saves the solar settings.
+ */
+function saveSolarSettings() {
+  savePreferences({
+    solarMode: solarModeSelect.value,
+    solarPeakKw: solarPeakKwInput.value,
+    solarSunrise: solarSunriseInput.value,
+    solarSunset: solarSunsetInput.value,
+    solarBaseLoad: solarBaseLoadInput.value,
+    exportAdjustment: exportAdjustmentInput.value,
+  });
+}
+
+/**
+ * Reads an uploaded PV forecast file and keeps it with the preferences.
+ */
+async function handlePvForecastImport() {
+  const file = pvForecastFileInput.files[0];
+  if (!file) return;
+  try {
+    pvForecastRows = parsePvForecastCsv(await file.text());
+    savePreferences({ pvForecast: pvForecastRows });
+    pvForecastStatus.textContent = `✅ Loaded ${
+      pvForecastRows.length
+    } hours of forecast from ${formatWindowTime(
+      new Date(pvForecastRows[0].start)
+    )}.`;
+  } catch (error) {
+    console.error("PV forecast import error:", error);
+    pvForecastStatus.textContent = `❌ Could not import ${file.name}: ${error.message}`;
+  } finally {
+    pvForecastFileInput.value = "";
+  }
+}
+
+/**
+ * Reads the carbon-intensity settings, or `null` when carbon data is off.
+ * `weight` is the share (0-1) of the intensity in the slot ranking.
+ */
+function readCarbonSettings() {
+  const provider = carbonProviderSelect.value;
+  if (!CARBON_PROVIDERS[provider]) {
+    return null;
+  }
+  return {
+    provider,
+    token: carbonTokenInput.value.trim(),
+    weight: (parseInt(carbonWeightInput.value) || 0) / 100,
+    showOnChart: carbonChartInput.checked,
+  };
+}
+
+/**
+ * Shows the carbon fields that belong to the selected source and labels the
+ * ranking slider.
+ */
+function updateCarbonOptions() {
+  const provider = carbonProviderSelect.value;
+  carbonOptions.classList.toggle("hidden", !CARBON_PROVIDERS[provider]);
+  carbonTokenOptions.classList.toggle(
+    "hidden",
+    !CARBON_PROVIDERS[provider]?.getRequest
+  );
+  carbonWeightLabel.textContent = describeCarbonWeight(
+    parseInt(carbonWeightInput.value) || 0
+  );
+}
+
+/**
+ * Saves the carbon-intensity settings.
+ */
+function saveCarbonSettings() {
+  savePreferences({
+    carbonProvider: carbonProviderSelect.value,
+    carbonToken: carbonTokenInput.value,
+    carbonWeight: carbonWeightInput.value,
+    carbonChart: carbonChartInput.checked,
+  });
+}
+
+/**
+ * Imports a carbon-intensity file into the stored series of the selected
+ * zone.
+ */
+async function handleCarbonImport() {
+  const file = carbonFileInput.files[0];
+  if (!file) return;
+  const zone = priceZoneSelect.value;
+  try {
+    const rows = parseCarbonFile(await file.text());
+    storeCarbonRows(zone, rows);
+    carbonImportStatus.textContent = `✅ Imported ${rows.length} row${
+      rows.length !== 1 ? "s" : ""
+    } for ${zone} from ${formatWindowTime(
+      new Date(rows[0].start)
+    )} to ${formatWindowTime(new Date(rows.at(-1).start))}.`;
+  } catch (error) {
+    console.error("Carbon intensity import error:", error);
+    carbonImportStatus.textContent = `❌ Could not import ${file.name}: ${error.message}`;
+  } finally {
+    carbonFileInput.value = "";
+  }
+}
+
+/**
+ * Downloads the last plan's prices or slots: "prices-csv", "slots-csv" or
+ * "json" for both in one file.
+ */
+function handleDataExport(kind) {
+  if (!lastPlanPrices) {
+    dataExportStatus.textContent = "Calculate a plan first.";
+    return;
+  }
+  const { zone, planTime, prices } = lastPlanPrices;
+  const baseName = `prices-${zone}-${getStockholmDateKey(planTime)}`;
+  const priceRows = buildPriceExportRows(prices);
+  const slotRows = buildSlotExportRows(lastCalculatedSlots);
+  if (kind === "prices-csv") {
+    downloadFile(
+      `${baseName}.csv`,
+      toCsv(priceRows, Object.keys(priceRows[0])),
+      "text/csv;charset=utf-8"
+    );
+  } else if (kind === "slots-csv") {
+    if (!slotRows.length) {
+      dataExportStatus.textContent = "The last plan has no slots to export.";
+      return;
+    }
+    downloadFile(
+      `slots-${zone}-${getStockholmDateKey(planTime)}.csv`,
+      toCsv(slotRows, Object.keys(slotRows[0])),
+      "text/csv;charset=utf-8"
+    );
+  } else {
+    const data = {
+      format: EXPORT_FORMAT,
+      zone,
+      planTime: planTime.toISOString(),
+      prices: priceRows,
+      slots: slotRows,
+    };
+    downloadFile(
+      `${baseName}.json`,
+      JSON.stringify(data, null, 2),
+      "application/json"
+    );
+  }
+  dataExportStatus.textContent = "";
+}
+
+/**
+ * Loads an exported price file; plans run on it instead of live prices
+ * until it is cleared.
+ */
+async function handlePlanImport() {
+  const file = planImportFileInput.files[0];
+  if (!file) return;
+  try {
+    const { zone, planTime, rows } = parsePriceExport(await file.text());
+    importedPriceSeries = { fileName: file.name, zone, planTime, rows };
+    if ([...priceZoneSelect.options].some((o) => o.value === zone)) {
+      priceZoneSelect.value = zone;
+    }
+    dataExportStatus.textContent = `✅ Loaded ${rows.length} periods${
+      zone ? ` for ${zone}` : ""
+    }. "Show me the best times!" now plans on this file as of ${formatWindowTime(
+      new Date(planTime)
+    )}.`;
+    clearPlanImportButton.classList.remove("hidden");
+  } catch (error) {
+    console.error("Price export import error:", error);
+    dataExportStatus.textContent = `❌ Could not import ${file.name}: ${error.message}`;
+  } finally {
+    planImportFileInput.value = "";
+  }
+}
+
+/**
+ * Stops replaying an imported price file.
+ */
+function handleClearPlanImport() {
+  importedPriceSeries = null;
+  dataExportStatus.textContent = "Back to live prices.";
+  clearPlanImportButton.classList.add("hidden");
+  if (findWindowPreset(timeSlotSelect.value)) {
+    applySelectedWindowPreset();
+  }
+}
+
+/**
+ * Saves the price data source settings.
+ */
+function savePriceSourceSettings() {
+  savePreferences({
+    priceProvider: priceProviderSelect.value,
+    priceResolution: priceResolutionSelect.value,
+    entsoeToken: entsoeTokenInput.value,
+    eurSekRate: eurSekRateInput.value,
+    fixturePath: fixturePathInput.value,
+    cacheRetentionDays: cacheRetentionDaysInput.value,
+  });
+}
+
+/**
+ * Imports a price file with the selected provider's parser and stores each
+ * Stockholm day in it in the price cache for the selected zone.
+ */
+async function handlePriceFileImport() {
+  const file = priceFileInput.files[0];
+  if (!file) return;
+  const settings = readPriceSourceSettings();
+  const zone = priceZoneSelect.value;
+  try {
+    const rows = PRICE_PROVIDERS[settings.provider].parseFile(
+      await file.text(),
+      zone,
+      settings
+    );
+    const rowsByDay = new Map();
+    rows.forEach((row) => {
+      const dateKey = getStockholmDateKey(new Date(row.time_start));
+      rowsByDay.set(dateKey, [...(rowsByDay.get(dateKey) || []), row]);
+    });
+    if (!rowsByDay.size) {
+      throw new Error("no prices found in the file.");
+    }
+    const todayDateStr = getStockholmDateKey(new Date());
+    for (const [dateKey, prices] of rowsByDay) {
+      const record = {
+        zone,
+        dateKey,
+        prices,
+        complete: isDayComplete(dateKey, prices),
+        fetchedAt: Date.now(),
+        provider: settings.provider,
+      };
+      await writeCachedDay(record);
+      // Complete past days also go to the archive for the price history
+      if (record.complete && dateKey < todayDateStr) {
+        await writeArchivedDay(record);
+      }
+    }
+    const dayTags = [...rowsByDay.keys()].map((dateKey) =>
+      formatStockholmDayTag(stockholmToDate(dateKey, 12))
+    );
+    priceImportStatus.textContent = `✅ Imported ${rowsByDay.size} day${
+      rowsByDay.size !== 1 ? "s" : ""
+    } for ${zone}: ${dayTags.join(", ")}.`;
+  } catch (error) {
+    console.error("Price import error:", error);
+    priceImportStatus.textContent = `❌ Could not import ${file.name}: ${error.message}`;
+  } finally {
+    priceFileInput.value = "";
+  }
+}
+
+/**
+ * Adds a line to the status box when the search runs at a different
+ * resolution than the prices were published in.
+ */
+function renderResamplingNote(rawData, prices) {
+  const published = describeResolution(rawData);
+  const searched = formatResolution(getPeriodMinutes(prices));
+  if (prices.length && published !== searched) {
+    dataStatusBox.innerHTML += `<br>🔁 Resampled ${published} prices to ${searched} periods for the search.`;
+  }
+}
+
+/**
+ * Shows the data status message, styled by whether it came from cache or
+ * is a stale offline copy.
+ */
+function renderDataStatus(statusMessage, isCached, isStale = false) {
+  dataStatusBox.innerHTML = statusMessage;
+  dataStatusBox.classList.remove(
+    "hidden",
+    "bg-red-100",
+    "bg-yellow-100",
+    "bg-green-100",
+    "bg-green-200",
+    "text-red-800",
+    "text-yellow-800",
+    "text-green-800"
+  );
+  if (isStale) {
+    dataStatusBox.classList.add("bg-yellow-100", "text-yellow-800");
+    return;
+  }
+  dataStatusBox.classList.add(
+    isCached ? "bg-green-200" : "bg-green-100",
+    "text-green-800"
+  );
+}
+
+/**
+ * Shows the split-run limits only when the interruptible mode is selected.
+ */
+function updateLoadModeOptions() {
+  const isInterruptible = loadModeSelect.value === LOAD_MODES.interruptible;
+  interruptibleOptions.classList.toggle("hidden", !isInterruptible);
+  slotStrategySelect.disabled = isInterruptible;
+  topSlotsNeededInput.disabled = isInterruptible;
+}
+
+/**
+ * Shows the load profile editor when the profile unit is selected. A profile
+ * sets the duration itself, so the minutes input mirrors its length.
+ */
+function updateLoadUnitOptions() {
+  const isProfile = applianceLoadUnitSelect.value === LOAD_UNITS.profile;
+  loadProfileOptions.classList.toggle("hidden", !isProfile);
+  applianceLoadInput.disabled = isProfile;
+  minutesNeededInput.disabled = isProfile;
 
-      if (response.ok) {
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (text) return text;
-        throw new Error("Gemini response structure invalid or empty.");
-      } else if (response.status === 429) {
-        // Too many requests - retry
-        throw new Error("Rate limit exceeded.");
-      } else {
-        // Other HTTP error
-        throw new Error(`Gemini API HTTP error: ${response.status}`);
+  const loadProfile = isProfile
+    ? parseLoadProfile(loadProfileInput.value)
+    : null;
+  if (loadProfile) {
+    minutesNeededInput.value = loadProfile.length * PERIOD_MINUTES;
+  }
+}
+
+/**
+ * Renders one editable appliance row for the household scheduler.
+ */
+function renderApplianceRow(appliance) {
+  const inputClass =
+    "w-full p-2 text-sm border border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500 bg-white";
+  const labelClass = "block text-xs font-medium text-gray-600 mb-1";
+  return `
+                <div data-appliance-row class="grid grid-cols-2 md:grid-cols-6 gap-2 items-end p-3 bg-white rounded-lg border border-gray-200">
+                    <div class="col-span-2">
+                        <label class="${labelClass}">Appliance</label>
+                        <input data-field="name" type="text" value="${escapeHtml(
+                          appliance.name
+                        )}" class="${inputClass}" />
+                    </div>
+                    <div>
+                        <label class="${labelClass}">Minutes</label>
+                        <input data-field="minutes" type="number" inputmode="numeric" min="15" step="15" value="${
+                          appliance.minutes
+                        }" class="${inputClass}" />
+                    </div>
+                    <div>
+                        <label class="${labelClass}">kW</label>
+                        <input data-field="kw" type="number" inputmode="decimal" min="0.1" step="0.1" value="${
+                          appliance.kw
+                        }" class="${inputClass}" />
+                    </div>
+                    <div>
+                        <label class="${labelClass}">Earliest start</label>
+                        <input data-field="earliestStart" type="datetime-local" value="${
+                          appliance.earliestStart
+                        }" class="${inputClass}" />
+                    </div>
+                    <div>
+                        <label class="${labelClass}">Done by</label>
+                        <input data-field="deadline" type="datetime-local" value="${
+                          appliance.deadline
+                        }" class="${inputClass}" />
+                    </div>
+                    <button type="button" data-remove-appliance class="col-span-2 md:col-span-6 text-xs text-red-500 hover:text-red-700 text-right">Remove</button>
+                </div>
+            `;
+}
+
+/**
+ * Reads the appliance rows as entered in the form (raw input values).
+ */
+function readApplianceRows() {
+  return [...applianceList.querySelectorAll("[data-appliance-row]")].map(
+    (row) => {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value;
+      return {
+        name: field("name"),
+        minutes: field("minutes"),
+        kw: field("kw"),
+        earliestStart: field("earliestStart"),
+        deadline: field("deadline"),
+      };
+    }
+  );
+}
+
+/**
+ * Renders the household scheduler's appliance rows.
+ */
+function renderApplianceList(appliances) {
+  applianceList.innerHTML = appliances.map(renderApplianceRow).join("");
+}
+
+/**
+ * Renders one charge or discharge block of the battery plan as a card, with
+ * the state of charge it ends at.
+ */
+function renderBatteryBlock(block, capacityKwh) {
+  const startTimeStr = formatStockholmTime(block.periods[0].timestamp);
+  const endTimeStr = formatStockholmTime(block.periods.at(-1).endTime);
+  const isCharge = block.action === "charge";
+  const color = BATTERY_COLORS[block.action];
+  const energyText = isCharge
+    ? `${block.gridKwh.toFixed(2)} kWh from the grid for ${formatSek(
+        block.value
+      )}`
+    : `${(-block.gridKwh).toFixed(2)} kWh to the house, saving ${formatSek(
+        -block.value
+      )}`;
+
+  return `
+                <div class="p-4 rounded-lg border shadow-lg bg-white border-gray-200" style="border-left: 6px solid ${color}">
+                    <h3 class="font-extrabold text-lg mb-1 flex items-center justify-between">
+                        <span class="text-gray-700">${
+                          isCharge ? "🔌 Charge" : "🏠 Discharge"
+                        }</span>
+                        <span class="text-sm font-semibold px-2 py-1 rounded-full bg-blue-200 text-gray-800">${
+                          block.periods[0].dayTag
+                        }</span>
+                    </h3>
+                    <p class="font-extrabold text-2xl text-blue-700">${startTimeStr} - ${endTimeStr}</p>
+                    <p class="mt-1 text-gray-600">
+                        ${energyText}; ends at ${(
+    (block.endSocKwh / capacityKwh) *
+    100
+  ).toFixed(0)}% charge.
+                    </p>
+                </div>
+            `;
+}
+
+/**
+ * Renders one appliance of the combined schedule as a card.
+ */
+function renderScheduleEntry(entry, color) {
+  const timeOptions = {
+    hour: "2-digit",
+    minute: "2-digit",
+    timeZone: STOCKHOLM_TIME_ZONE,
+  };
+  const startTimeStr = entry.startTime.toLocaleTimeString("sv-SE", timeOptions);
+  const endTimeStr = entry.endTime.toLocaleTimeString("sv-SE", timeOptions);
+
+  return `
+                <div class="p-4 rounded-lg border shadow-lg bg-white border-gray-200" style="border-left: 6px solid ${color}">
+                    <h3 class="font-extrabold text-lg mb-1 flex items-center justify-between">
+                        <span class="text-gray-700">${escapeHtml(
+                          entry.appliance.name
+                        )}</span>
+                        <span class="text-sm font-semibold px-2 py-1 rounded-full bg-blue-200 text-gray-800">${
+                          entry.periods[0].dayTag
+                        }</span>
+                    </h3>
+                    <p class="font-extrabold text-2xl text-blue-700">${startTimeStr} - ${endTimeStr}</p>
+                    <p class="mt-1 text-gray-600">
+                        <span class="font-semibold">Run Cost (${entry.energyKwh.toFixed(
+                          2
+                        )} kWh at ${entry.appliance.kw} kW):</span>
+                        <span class="font-extrabold text-blue-700">${formatSek(
+                          entry.runCost
+                        )}</span>
+                    </p>
+                </div>
+            `;
+}
+
+/**
+ * Raw prices of the zone for the contract comparison: today and tomorrow as
+ * usual, plus every earlier day still in the cache.
+ */
+async function loadComparisonPrices(zone) {
+  const { allRawPrices } = await checkCacheAndFetchPrices(zone);
+  const settings = readPriceSourceSettings();
+  const todayDateStr = getStockholmDateKey(new Date());
+  const earlierDays = await Promise.all(
+    Array.from({ length: readCacheRetentionDays() - 1 }, (_, i) =>
+      loadPriceDay(
+        zone,
+        addStockholmDays(todayDateStr, -(i + 1)),
+        false,
+        settings
+      )
+    )
+  );
+  return [...earlierDays.flatMap((day) => day.prices), ...allRawPrices];
+}
+
+/**
+ * Compares the supplier contract with a fixed price over the cached days.
+ */
+async function handleCompareContracts() {
+  const zone = priceZoneSelect.value;
+  const monthlyKwh = parseFloat(monthlyConsumptionInput.value);
+  const fixedPrice = parseFloat(fixedPriceInput.value) || 0;
+  savePreferences({
+    zone,
+    supplierMarkup: supplierMarkupInput.value,
+    certificateFee: certificateFeeInput.value,
+    supplierMonthlyFee: supplierMonthlyFeeInput.value,
+    monthlyConsumption: monthlyConsumptionInput.value,
+    fixedPrice: fixedPriceInput.value,
+  });
+
+  if (isNaN(monthlyKwh) || monthlyKwh <= 0) {
+    contractComparisonBox.innerHTML = `<p class="text-red-600 font-bold">Please enter your monthly consumption in kWh as a number above 0.</p>`;
+    return;
+  }
+  const userFees = readUserFees();
+  const feeError = userFees.gridTariff?.error || userFees.powerTariff?.error;
+  if (feeError) {
+    contractComparisonBox.innerHTML = `<p class="text-red-600 font-bold">${escapeHtml(
+      feeError
+    )}</p>`;
+    return;
+  }
+
+  compareContractsButton.disabled = true;
+  contractComparisonBox.innerHTML =
+    '<p class="text-blue-600 font-bold">Loading prices to compare contracts...</p>';
+  try {
+    const prices = parsePriceData(await loadComparisonPrices(zone), userFees);
+    checkPriceAlerts(prices);
+    if (!prices.length) {
+      contractComparisonBox.innerHTML = `<p class="text-red-600 font-bold">No prices are loaded for ${zone} yet. Try again when today's prices are available.</p>`;
+      return;
+    }
+    const rows = compareSupplierContracts(prices, {
+      markup: userFees.supplierMarkup,
+      certificateFee: userFees.certificateFee,
+      monthlyFee: userFees.supplierMonthlyFee,
+      vat: userFees.vat,
+      monthlyKwh,
+      fixedPrice,
+    });
+    contractComparisonBox.innerHTML = renderContractComparison(rows, prices);
+  } catch (error) {
+    console.error("Contract comparison error:", error);
+    contractComparisonBox.innerHTML = `<p class="text-red-600 font-bold">Could not compare contracts: ${escapeHtml(
+      error.message
+    )}</p>`;
+  } finally {
+    compareContractsButton.disabled = false;
+  }
+}
+
+/**
+ * Loads the chosen date range and the 30 days before today for the zone,
+ * and shows the price history.
+ */
+async function handlePriceHistory() {
+  const zone = priceZoneSelect.value;
+  const todayDateStr = getStockholmDateKey(new Date());
+  const from = historyFromInput.value;
+  const to = historyToInput.value;
+  const showError = (message) => {
+    historyResults.innerHTML = `<p class="text-red-600 font-bold">${message}</p>`;
+    historyChartContainer.classList.add("hidden");
+  };
+
+  if (!from || !to || from > to) {
+    showError("Please choose a start date on or before the end date.");
+    return;
+  }
+  if (to > todayDateStr) {
+    showError("The history ends today at the latest.");
+    return;
+  }
+  const rangeKeys = [];
+  for (let key = from; key <= to; key = addStockholmDays(key, 1)) {
+    rangeKeys.push(key);
+    if (rangeKeys.length > MAX_HISTORY_DAYS) {
+      showError(`Please choose at most ${MAX_HISTORY_DAYS} days.`);
+      return;
+    }
+  }
+  const userFees = readUserFees();
+  const feeError = userFees.gridTariff?.error || userFees.powerTariff?.error;
+  if (feeError) {
+    showError(escapeHtml(feeError));
+    return;
+  }
+  const comparisonKeys = Array.from({ length: 31 }, (_, i) =>
+    addStockholmDays(todayDateStr, -i)
+  );
+  const dateKeys = [...new Set([...rangeKeys, ...comparisonKeys])].sort();
+
+  historyButton.disabled = true;
+  try {
+    const settings = readPriceSourceSettings();
+    const pricesByDay = new Map();
+    // One day at a time, to go easy on the price API
+    for (const [index, dateKey] of dateKeys.entries()) {
+      historyResults.innerHTML = `<p class="text-blue-600 font-bold">Loading prices for ${zone}... ${index} of ${dateKeys.length} days</p>`;
+      const day = await loadHistoryDay(zone, dateKey, settings);
+      const prices = parsePriceData(day.prices, userFees);
+      if (prices.length) {
+        pricesByDay.set(dateKey, prices);
       }
-    } catch (error) {
-      console.warn(`[Gemini Attempt ${attempt + 1}] Error: ${error.message}`);
-      if (attempt === maxRetries - 1) {
-        throw new Error(
-          "Failed to get response from AI assistant after multiple retries."
-        );
+    }
+
+    const toDays = (keys) =>
+      keys
+        .filter((key) => pricesByDay.has(key))
+        .map((key) => ({ dateKey: key, prices: pricesByDay.get(key) }));
+    const rangeDays = toDays(rangeKeys);
+    const before7 = toDays(comparisonKeys.slice(1, 8)).flatMap((d) => d.prices);
+    const before30 = toDays(comparisonKeys.slice(1)).flatMap((d) => d.prices);
+    const todayPrices = pricesByDay.get(todayDateStr) || [];
+    const comparison = {
+      todayAverage: getAveragePrice(todayPrices),
+      average7: getAveragePrice(before7),
+      average30: getAveragePrice(before30),
+      todayProfile: getHourlyProfile(todayPrices),
+      profile7: getHourlyProfile(before7),
+      profile30: getHourlyProfile(before30),
+    };
+
+    historyResults.innerHTML = renderPriceHistory(
+      zone,
+      rangeDays,
+      comparison,
+      rangeKeys.filter((key) => !pricesByDay.has(key))
+    );
+    renderHistoryChart(comparison);
+  } catch (error) {
+    console.error("Price history error:", error);
+    showError(`Could not load the price history: ${escapeHtml(error.message)}`);
+  } finally {
+    historyButton.disabled = false;
+  }
+}
+
+/**
+ * Plans charging the electric car to its target level before departure.
+ */
+async function handleEvPlan() {
+  updateCurrentTime();
+
+  const zone = priceZoneSelect.value;
+  const packKwh = parseFloat(evPackKwhInput.value);
+  const chargerKw = parseFloat(evChargerKwInput.value);
+  const lossPercent = parseFloat(evLossPercentInput.value) || 0;
+  const currentPercent = parseFloat(evCurrentChargeInput.value);
+  const targetPercent = parseFloat(evTargetChargeInput.value);
+  const loadMode = evLoadModeSelect.value;
+  savePreferences({
+    zone,
+    evCar: evCarSelect.value,
+    evPackKwh: evPackKwhInput.value,
+    evChargerKw: evChargerKwInput.value,
+    evLossPercent: evLossPercentInput.value,
+    evCurrentCharge: evCurrentChargeInput.value,
+    evTargetCharge: evTargetChargeInput.value,
+    evDeparture: evDepartureInput.value,
+    evLoadMode: loadMode,
+  });
+
+  const showError = (message) => {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">${message}</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+  };
+
+  // Input Validation
+  if (isNaN(packKwh) || packKwh <= 0 || isNaN(chargerKw) || chargerKw <= 0) {
+    showError("Please enter the battery size (kWh) and charger power (kW).");
+    return;
+  }
+  if (
+    isNaN(currentPercent) ||
+    isNaN(targetPercent) ||
+    currentPercent < 0 ||
+    targetPercent > 100 ||
+    targetPercent <= currentPercent
+  ) {
+    showError(
+      "Please enter the current and target charge as 0-100%, with the target above the current level."
+    );
+    return;
+  }
+  if (lossPercent < 0 || lossPercent >= 100) {
+    showError("Please enter charging losses between 0 and 99%.");
+    return;
+  }
+  if (!evDepartureInput.value) {
+    showError("Please enter when the car leaves.");
+    return;
+  }
+  const userFees = readUserFees();
+  const feeError = userFees.gridTariff?.error || userFees.powerTariff?.error;
+  if (feeError) {
+    showError(escapeHtml(feeError));
+    return;
+  }
+
+  const need = computeEvChargeNeed(
+    packKwh,
+    currentPercent,
+    targetPercent,
+    chargerKw,
+    lossPercent
+  );
+  const departure = getNextDeparture(evDepartureInput.value);
+
+  evButton.disabled = true;
+  messageBox.innerHTML =
+    '<p class="text-blue-600 font-bold">Checking cache and planning the charging. One moment...</p>';
+  slotResultsContainer.innerHTML = "";
+  dataStatusBox.classList.add("hidden");
+  strategyGeneratorContainer.classList.add("hidden");
+
+  try {
+    const { allRawPrices, statusMessage, isCached, isStale, days } =
+      await checkCacheAndFetchPrices(zone);
+    renderDataStatus(statusMessage, isCached, isStale);
+    startPriceRefresh(handleEvPlan, days);
+
+    const parsedPrices = parsePriceData(allRawPrices, userFees);
+    checkPriceAlerts(parsedPrices);
+    const allPrices = resamplePrices(parsedPrices, priceResolutionSelect.value);
+    renderResamplingNote(allRawPrices, allPrices);
+    const availablePrices = allPrices.filter(
+      (p) => !p.isPast && p.endTime <= departure
+    );
+
+    // The charger runs at full power; the last period may be partly used
+    const periodMinutes = getPeriodMinutes(allPrices);
+    const periodsNeeded = Math.ceil(need.minutesNeeded / periodMinutes);
+    const kwhPerPeriod = need.gridKwh / periodsNeeded;
+    let session;
+    if (loadMode === LOAD_MODES.interruptible) {
+      session = findCheapestInterruptiblePeriods(
+        availablePrices,
+        periodsNeeded,
+        1,
+        null,
+        kwhPerPeriod
+      );
+      const [bestContiguous] = findTopBestTimeSlots(
+        availablePrices,
+        need.minutesNeeded,
+        1,
+        SLOT_STRATEGIES.optimal,
+        kwhPerPeriod,
+        userFees.powerTariff
+      );
+      if (session) {
+        addPowerChargeToPlan(session, userFees.powerTariff);
+        session.contiguousCost = bestContiguous ? bestContiguous.runCost : null;
       }
-      // Wait with exponential backoff
-      await new Promise((resolve) =>
-        setTimeout(resolve, Math.pow(2, attempt) * 1000)
+    } else {
+      [session] = findTopBestTimeSlots(
+        availablePrices,
+        need.minutesNeeded,
+        1,
+        SLOT_STRATEGIES.optimal,
+        kwhPerPeriod,
+        userFees.powerTariff
       );
     }
+    const hoursNeeded = need.minutesNeeded / 60;
+    if (!session) {
+      const availableHours = sumPeriodMinutes(availablePrices) / 60;
+      showError(
+        availableHours < hoursNeeded
+          ? `Charging needs ${hoursNeeded.toFixed(
+              1
+            )} hours at ${chargerKw} kW, but only ${availableHours.toFixed(
+              1
+            )} hours of published prices fall before departure (${formatWindowTime(
+              departure
+            )}). Tomorrow's prices are published after 13:15 Swedish time.`
+          : `No continuous ${hoursNeeded.toFixed(
+              1
+            )}-hour session fits before departure (${formatWindowTime(
+              departure
+            )}). Allow pauses to charge in pieces.`
+      );
+      return;
+    }
+
+    const startNow = findRunStartingNow(
+      allPrices,
+      periodsNeeded,
+      kwhPerPeriod,
+      userFees.powerTariff
+    );
+    session.startNowCost = startNow ? startNow.runCost : null;
+    lastCalculatedSlots = [session];
+    lastCalculatedUserFees = userFees;
+    lastCalendarPlan = {
+      name: `Charge ${evCarNameInput.value.trim() || "the car"}`,
+      zone,
+    };
+    lastPlanPrices = { zone, planTime: new Date(), prices: allPrices };
+    lastCalculatedLoad = {
+      energyKwh: need.gridKwh,
+      powerKw: chargerKw,
+      profileKw: null,
+    };
+
+    messageBox.innerHTML = `
+      <p class="mb-3 text-green-700 text-lg font-bold">🚗 Session cost: ${formatSek(
+        session.runCost
+      )} to charge from ${currentPercent}% to ${targetPercent}%!</p>
+      <p class="text-gray-600">
+        ${need.batteryKwh.toFixed(
+          2
+        )} kWh into the battery takes ${need.gridKwh.toFixed(
+      2
+    )} kWh from the grid with ${lossPercent}% losses: ${hoursNeeded.toFixed(
+      1
+    )} hours at ${chargerKw} kW, done before ${formatWindowTime(departure)}.
+      </p>
+      `;
+    renderPriceChart(allPrices, [session]);
+    slotResultsContainer.innerHTML = renderSlot(session);
+    messageBox.innerHTML += checkArmedReminders();
+  } catch (error) {
+    console.error("EV Planning Error:", error);
+    dataStatusBox.classList.remove("bg-green-100", "bg-green-200");
+    dataStatusBox.classList.add("bg-red-100", "text-red-800");
+    dataStatusBox.innerHTML = `❌ Data Error: Check console for full details.`;
+    showError(
+      "A critical error occurred while planning the charging. See Data Status box for error details."
+    );
+  } finally {
+    evButton.disabled = false;
   }
 }
 
 /**
- * Formats context and calls the Gemini API for optimization advice.
+ * Plans when the home battery charges and discharges over the loaded prices.
  */
-async function handleStrategyGeneration() {
-  const userTasks = taskInput.value.trim();
+async function handleBatteryPlan() {
+  updateCurrentTime();
+
+  const zone = priceZoneSelect.value;
+  const capacityKwh = parseFloat(batteryCapacityInput.value);
+  const maxPowerKw = parseFloat(batteryPowerInput.value);
+  const efficiencyPercent = parseFloat(batteryEfficiencyInput.value);
+  const socPercent = parseFloat(batterySocInput.value);
+  const reservePercent = parseFloat(batteryReserveInput.value) || 0;
+  savePreferences({
+    zone,
+    batteryCapacity: batteryCapacityInput.value,
+    batteryPower: batteryPowerInput.value,
+    batteryEfficiency: batteryEfficiencyInput.value,
+    batterySoc: batterySocInput.value,
+    batteryReserve: batteryReserveInput.value,
+  });
+
+  const showError = (message) => {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">${message}</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+  };
+
+  // Input Validation
+  if (isNaN(capacityKwh) || capacityKwh <= 0) {
+    showError("Please enter the battery capacity in kWh as a number above 0.");
+    return;
+  }
+  if (isNaN(maxPowerKw) || maxPowerKw <= 0) {
+    showError("Please enter the battery's charge/discharge power in kW.");
+    return;
+  }
+  if (
+    isNaN(efficiencyPercent) ||
+    efficiencyPercent <= 0 ||
+    efficiencyPercent > 100
+  ) {
+    showError("Please enter a round-trip efficiency between 1 and 100%.");
+    return;
+  }
+  if (
+    isNaN(socPercent) ||
+    socPercent < 0 ||
+    socPercent > 100 ||
+    reservePercent < 0 ||
+    reservePercent > 100
+  ) {
+    showError(
+      "Please enter the current charge and the reserve as 0-100% of capacity."
+    );
+    return;
+  }
+  const userFees = readUserFees();
+  if (userFees.gridTariff?.error) {
+    showError(escapeHtml(userFees.gridTariff.error));
+    return;
+  }
+
+  batteryButton.disabled = true;
+  messageBox.innerHTML =
+    '<p class="text-blue-600 font-bold">Checking cache and planning the battery. One moment...</p>';
+  slotResultsContainer.innerHTML = "";
+  // The battery plan has no slots, so the calendar and slot exports must not
+  // act on the previous plan's
+  lastCalculatedSlots = [];
+  lastCalendarPlan = null;
+  lastPlanPrices = null;
+  dataStatusBox.classList.add("hidden");
+  strategyGeneratorContainer.classList.add("hidden");
+
+  try {
+    const { allRawPrices, statusMessage, isCached, isStale, days } =
+      await checkCacheAndFetchPrices(zone);
+    renderDataStatus(statusMessage, isCached, isStale);
+    startPriceRefresh(handleBatteryPlan, days);
+
+    const parsedPrices = parsePriceData(allRawPrices, userFees);
+    checkPriceAlerts(parsedPrices);
+    const allPrices = resamplePrices(parsedPrices, priceResolutionSelect.value);
+    renderResamplingNote(allRawPrices, allPrices);
+    lastPlanPrices = { zone, planTime: new Date(), prices: allPrices };
+    const upcomingPrices = allPrices.filter((p) => !p.isPast);
+    const plan = planBatterySchedule(upcomingPrices, {
+      capacityKwh,
+      maxPowerKw,
+      efficiency: efficiencyPercent / 100,
+      socKwh: (capacityKwh * socPercent) / 100,
+      reserveKwh: (capacityKwh * reservePercent) / 100,
+    });
+    if (!plan) {
+      showError(
+        "Could not load any upcoming price data. Check the status box above for details."
+      );
+      return;
+    }
+
+    const blocks = groupBatteryBlocks(upcomingPrices, plan.steps);
+    const hoursPlanned = sumPeriodMinutes(upcomingPrices) / 60;
+    messageBox.innerHTML = blocks.length
+      ? `
+      <p class="mb-3 text-green-700 text-lg font-bold">✅ Expected savings: ${formatSek(
+        plan.savings
+      )} over the next ${hoursPlanned.toFixed(1)} hours!</p>
+      <p class="text-gray-600">
+        <span class="font-semibold">Charges</span> ${plan.chargedKwh.toFixed(
+          2
+        )} kWh from the grid and <span class="font-semibold">delivers</span> ${plan.dischargedKwh.toFixed(
+          2
+        )} kWh to the house, ending at ${(
+          (plan.endSocKwh / capacityKwh) *
+          100
+        ).toFixed(0)}% charge (now ${socPercent}%).
+      </p>
+      <p class="text-xs text-gray-500 mt-2">Discharged energy is assumed to replace what the house would buy at the same time, not to be sold back to the grid.</p>
+      `
+      : `<p class="text-gray-600 font-bold">The price differences in the next ${hoursPlanned.toFixed(
+          1
+        )} hours don't cover the battery's losses, so keep it idle.</p>`;
+
+    // Line the plan up with the full price series for the chart
+    const stepByTime = new Map(
+      upcomingPrices.map((p, index) => [
+        p.timestamp.getTime(),
+        plan.steps[index],
+      ])
+    );
+    renderPriceChart(allPrices, [], [], {
+      batterySteps: allPrices.map(
+        (p) => stepByTime.get(p.timestamp.getTime()) || null
+      ),
+    });
+
+    slotResultsContainer.innerHTML = blocks
+      .map((block) => renderBatteryBlock(block, capacityKwh))
+      .join("");
+  } catch (error) {
+    console.error("Battery Planning Error:", error);
+    dataStatusBox.classList.remove("bg-green-100", "bg-green-200");
+    dataStatusBox.classList.add("bg-red-100", "text-red-800");
+    dataStatusBox.innerHTML = `❌ Data Error: Check console for full details.`;
+    showError(
+      "A critical error occurred while planning the battery. See Data Status box for error details."
+    );
+  } finally {
+    batteryButton.disabled = false;
+  }
+}
+
+/**
+ * Plans every appliance in the household scheduler together under the
+ * power cap and renders the combined schedule.
+ */
+async function handleScheduleAppliances() {
+  updateCurrentTime();
+
+  const zone = priceZoneSelect.value;
+  const powerCapKw = parseFloat(powerCapKwInput.value);
+  const rows = readApplianceRows();
+  savePreferences({
+    zone,
+    appliances: rows,
+    powerCapKw: powerCapKwInput.value,
+  });
+
+  const showError = (message) => {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">${message}</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+  };
 
-  if (!userTasks) {
-    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">Please enter your energy tasks first (e.g., "Run washing machine for 2 hours").</p>`;
+  // Input Validation
+  if (!rows.length) {
+    showError("Add at least one appliance to plan.");
     return;
   }
-  if (lastCalculatedSlots.length === 0) {
-    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">Please run the main price calculation first to find the cheapest slots.</p>`;
+  if (isNaN(powerCapKw) || powerCapKw <= 0) {
+    showError("Please enter a household power cap in kW above 0.");
+    return;
+  }
+  const appliances = [];
+  for (const [index, row] of rows.entries()) {
+    const name = row.name.trim() || `Appliance ${index + 1}`;
+    const minutes = parseInt(row.minutes);
+    const kw = parseFloat(row.kw);
+    const earliestStart = parseDateTimeLocal(row.earliestStart);
+    const deadline = parseDateTimeLocal(row.deadline);
+    if (isNaN(minutes) || minutes < PERIOD_MINUTES || minutes > 48 * 60) {
+      showError(
+        `${escapeHtml(
+          name
+        )}: please enter a duration between 15 minutes and 48 hours.`
+      );
+      return;
+    }
+    if (isNaN(kw) || kw <= 0) {
+      showError(
+        `${escapeHtml(name)}: please enter the power in kW as a number above 0.`
+      );
+      return;
+    }
+    if (earliestStart && deadline && deadline <= earliestStart) {
+      showError(
+        `${escapeHtml(name)}: "Done by" must be after "Earliest start".`
+      );
+      return;
+    }
+    appliances.push({ name, kw, minutes, earliestStart, deadline });
+  }
+  const userFees = readUserFees();
+  const feeError = userFees.gridTariff?.error || userFees.powerTariff?.error;
+  if (feeError) {
+    showError(escapeHtml(feeError));
     return;
   }
 
-  // Start loading state
-  generateStrategyButton.disabled = true;
-  geminiLoadingSpinner.classList.remove("hidden");
-  strategyOutput.innerHTML =
-    '<p class="text-purple-600 font-bold">Analyzing tasks and generating optimal schedule...</p>';
+  scheduleButton.disabled = true;
+  messageBox.innerHTML =
+    '<p class="text-blue-600 font-bold">Checking cache and planning all appliances. One moment...</p>';
+  slotResultsContainer.innerHTML = "";
+  // The schedule is not a list of ranked slots, so the calendar and slot
+  // exports must not act on the previous plan's
+  lastCalculatedSlots = [];
+  lastCalendarPlan = null;
+  lastPlanPrices = null;
+  dataStatusBox.classList.add("hidden");
+  strategyGeneratorContainer.classList.add("hidden");
 
   try {
-    // 1. Prepare Context
-    const timeOptions = {
-      hour: "2-digit",
-      minute: "2-digit",
-      timeZone: "Europe/Stockholm",
-    };
-    const slotsContext = lastCalculatedSlots
-      .map((slot) => {
-        const startTimeStr = slot.startTime.toLocaleTimeString(
-          "sv-SE",
-          timeOptions
-        );
-        const endTimeStr = slot.endTime.toLocaleTimeString(
-          "sv-SE",
-          timeOptions
-        );
-        const dateStr = slot.startTime.toLocaleDateString("en-US", {
-          month: "short",
-          day: "numeric",
-        });
-        const avgPrice = slot.averagePrice.toFixed(4);
-        const hours = slot.periods.length / 4;
-
-        return `Rank #${slot.rank} (${hours} hours): ${dateStr} from ${startTimeStr} to ${endTimeStr}. Average Price (incl. fees): ${avgPrice} ${TARGET_CURRENCY_UNIT}.`;
-      })
-      .join("\n");
-
-    const feesContext = `User's applied fees are: Grid Fee: ${lastCalculatedUserFees.gridFee} SEK/kWh, Energy Tax: ${lastCalculatedUserFees.energyTax} SEK/kWh, VAT: ${lastCalculatedUserFees.vat}%.`;
+    const { allRawPrices, statusMessage, isCached, isStale, days } =
+      await checkCacheAndFetchPrices(zone);
+    renderDataStatus(statusMessage, isCached, isStale);
+    startPriceRefresh(handleScheduleAppliances, days);
 
-    const systemPrompt = `You are an expert energy consultant specializing in Nordic spot market optimization. Your goal is to help the user schedule their energy-intensive tasks into the provided cheapest time slots to minimize costs. 
-                
-                Instructions:
-                1. Based on the user's input, allocate their tasks (like running a machine for a specific duration) into the available cheapest slots provided in the context.
-                2. Prioritize the lower ranked (cheaper) slots first.
-                3. Provide the advice in a clear, markdown-formatted list with specific time recommendations.
-                4. Conclude with a very brief summary of the potential cost benefit (e.g., "You utilized the two cheapest slots.").`;
+    const parsedPrices = parsePriceData(allRawPrices, userFees);
+    checkPriceAlerts(parsedPrices);
+    const allPrices = resamplePrices(parsedPrices, priceResolutionSelect.value);
+    renderResamplingNote(allRawPrices, allPrices);
+    lastPlanPrices = { zone, planTime: new Date(), prices: allPrices };
+    const upcomingPrices = allPrices.filter((p) => !p.isPast);
+    if (!upcomingPrices.length) {
+      showError(
+        "Could not load any upcoming price data. Check the status box above for details."
+      );
+      return;
+    }
 
-    const userQuery = `My available cheapest time slots are (Rank #1 is cheapest):\n${slotsContext}\n\n${feesContext}\n\nI need to perform these tasks. Please generate the optimal schedule for me:\n"${userTasks}"`;
+    // Durations are rounded up to whole periods of the price grid
+    const periodMinutes = getPeriodMinutes(allPrices);
+    appliances.forEach((appliance) => {
+      appliance.periodsNeeded = Math.ceil(appliance.minutes / periodMinutes);
+    });
+    const schedule = scheduleAppliances(
+      upcomingPrices,
+      appliances,
+      powerCapKw,
+      userFees.powerTariff
+    );
+    const colorOf = (appliance) =>
+      APPLIANCE_COLORS[appliances.indexOf(appliance) % APPLIANCE_COLORS.length];
 
-    // 2. Call API
-    const payload = {
-      contents: [{ parts: [{ text: userQuery }] }],
-      systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+    const unscheduledNotes = schedule.unscheduled
+      .map((appliance) => {
+        const reason =
+          appliance.kw > powerCapKw
+            ? `it draws ${appliance.kw} kW, more than the ${powerCapKw} kW cap`
+            : "no free window fits its time limits and the power cap";
+        return `<p class="text-red-600 text-sm mt-1">⚠️ ${escapeHtml(
+          appliance.name
+        )} could not be planned: ${reason}.</p>`;
+      })
+      .join("");
+    messageBox.innerHTML = `
+      <p class="mb-3 text-green-700 text-lg font-bold">✅ Planned ${
+        schedule.entries.length
+      } of ${appliances.length} appliance${
+      appliances.length !== 1 ? "s" : ""
+    }!</p>
+      <p class="text-gray-600">
+        <span class="font-semibold">Total cost:</span> ${formatSek(
+          schedule.totalCost
+        )}${
+      schedule.powerCost === null
+        ? ""
+        : `, of which ${formatSek(schedule.powerCost)} is added power charge`
+    } (${
+      schedule.isOptimal
+        ? "lowest possible"
+        : "best found; too many combinations to check them all"
+    }).
+        <span class="font-semibold">Peak load:</span> ${schedule.peakKw.toFixed(
+          1
+        )} kW of ${powerCapKw} kW allowed.
+      </p>
+      ${unscheduledNotes}
+      `;
 
-    const aiResponse = await callGeminiApi(payload);
+    // Map each planned appliance onto the full price series for the chart
+    const indexByTime = new Map(
+      allPrices.map((p, index) => [p.timestamp.getTime(), index])
+    );
+    const loadTimeline = schedule.entries.map((entry) => {
+      const data = allPrices.map(() => null);
+      entry.periods.forEach((p) => {
+        data[indexByTime.get(p.timestamp.getTime())] = entry.appliance.kw;
+      });
+      return {
+        label: entry.appliance.name,
+        color: colorOf(entry.appliance),
+        data,
+      };
+    });
+    renderPriceChart(allPrices, [], [], {
+      loadTimeline,
+      powerCapKw,
+    });
 
-    // 3. Render Result
-    strategyOutput.innerHTML = aiResponse;
+    slotResultsContainer.innerHTML = schedule.entries
+      .map((entry) => renderScheduleEntry(entry, colorOf(entry.appliance)))
+      .join("");
   } catch (error) {
-    console.error("Gemini Assistant Error:", error);
-    strategyOutput.innerHTML = `<p class="text-red-600 font-bold">❌ Error generating strategy: ${error.message}. Please check your task details and try again.</p>`;
+    console.error("Scheduling Error:", error);
+    dataStatusBox.classList.remove("bg-green-100", "bg-green-200");
+    dataStatusBox.classList.add("bg-red-100", "text-red-800");
+    dataStatusBox.innerHTML = `❌ Data Error: Check console for full details.`;
+    showError(
+      "A critical error occurred while planning the appliances. See Data Status box for error details."
+    );
   } finally {
-    // End loading state
-    generateStrategyButton.disabled = false;
-    geminiLoadingSpinner.classList.add("hidden");
+    scheduleButton.disabled = false;
   }
 }
 
@@ -654,38 +6838,94 @@ async function handleCalculate() {
   updateCurrentTime();
 
   const zone = priceZoneSelect.value;
-  const minutesNeeded = parseInt(minutesNeededInput.value);
+  const applianceLoad = parseFloat(applianceLoadInput.value);
+  const applianceLoadUnit = applianceLoadUnitSelect.value;
+  // A load profile fixes the duration to one period per profile step
+  const loadProfile =
+    applianceLoadUnit === LOAD_UNITS.profile
+      ? parseLoadProfile(loadProfileInput.value)
+      : null;
+  const minutesNeeded = loadProfile
+    ? loadProfile.length * PERIOD_MINUTES
+    : parseInt(minutesNeededInput.value);
   const topSlotsNeeded = parseInt(topSlotsNeededInput.value);
+  const slotStrategy = slotStrategySelect.value;
+  const loadMode = loadModeSelect.value;
+  // Optional limits for split runs: empty means "no limit"
+  const minRunMinutes = parseInt(minRunMinutesInput.value) || null;
+  const maxSegments = parseInt(maxSegmentsInput.value) || null;
   const slotValue = timeSlotSelect.value;
-  // Get start and end hour from selected option's data attributes
-  const selectedOption = timeSlotSelect.options[timeSlotSelect.selectedIndex];
-  const startHour = Number(selectedOption.getAttribute("data-hour-start"));
-  const endHour = Number(selectedOption.getAttribute("data-hour-end"));
+  // Presets are resolved again on every run, so "tonight" stays current
+  if (findWindowPreset(slotValue)) {
+    applySelectedWindowPreset();
+  }
+  const earliestStart = parseDateTimeLocal(earliestStartInput.value);
+  const finishBy = parseDateTimeLocal(finishByInput.value);
 
   // Save the selected inputs to localStorage for persistence
-  localStorage.setItem(
-    cacheKeys.userPreferences,
-    JSON.stringify({
-      zone,
-      minutesNeeded,
-      topSlotsNeeded,
-      timeSlot: slotValue,
-      gridFee: gridFeeInput.value,
-      energyTax: energyTaxInput.value,
-      vatPercentage: vatPercentageInput.value,
-    })
-  );
+  savePreferences({
+    zone,
+    minutesNeeded,
+    topSlotsNeeded,
+    slotStrategy,
+    loadMode,
+    minRunMinutes: minRunMinutesInput.value,
+    maxSegments: maxSegmentsInput.value,
+    applianceLoad: applianceLoadInput.value,
+    applianceLoadUnit,
+    loadProfile: loadProfileInput.value,
+    timeSlot: slotValue,
+    applianceName: applianceNameInput.value,
+    calendarReminder: calendarReminderSelect.value,
+    earliestStart: earliestStartInput.value,
+    finishBy: finishByInput.value,
+    gridFee: gridFeeInput.value,
+    gridTariffMode: gridTariffModeSelect.value,
+    gridTariffRules: gridTariffRulesInput.value,
+    supplierMarkup: supplierMarkupInput.value,
+    certificateFee: certificateFeeInput.value,
+    supplierMonthlyFee: supplierMonthlyFeeInput.value,
+    powerCharge: powerChargeInput.value,
+    powerPeaksAveraged: powerPeaksAveragedInput.value,
+    powerBaseLoad: powerBaseLoadInput.value,
+    powerCurrentPeaks: powerCurrentPeaksInput.value,
+    powerPeakHours: powerPeakHoursInput.value,
+    energyTax: energyTaxInput.value,
+    vatPercentage: vatPercentageInput.value,
+  });
 
-  // Get user-defined fees
-  const userFees = {
-    gridFee: parseFloat(gridFeeInput.value) || 0,
-    energyTax: parseFloat(energyTaxInput.value) || 0,
-    vat: parseFloat(vatPercentageInput.value) || 0,
-  };
+  const userFees = readUserFees();
+  const solar = readSolarSettings();
+  const carbon = readCarbonSettings();
 
   const totalMaxHours = 48;
 
   // Input Validation
+  const feeError =
+    userFees.gridTariff?.error || userFees.powerTariff?.error || solar?.error;
+  if (feeError) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">${escapeHtml(
+      feeError
+    )}</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
+  if (!earliestStart || !finishBy || finishBy <= earliestStart) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">Please choose an earliest start and a finish-by time after it.</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
+  if (applianceLoadUnit === LOAD_UNITS.profile && !loadProfile) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">Please enter a load profile as kW per 15-minute step, e.g. "2.0, 0.7, 0.1" (up to ${MAX_PROFILE_STEPS} steps, at least one above 0).</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
   if (
     minutesNeeded < 15 ||
     minutesNeeded > totalMaxHours * 60 ||
@@ -697,6 +6937,31 @@ async function handleCalculate() {
     strategyGeneratorContainer.classList.add("hidden");
     return;
   }
+  if (!loadProfile && (isNaN(applianceLoad) || applianceLoad <= 0)) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">Please enter the appliance's power (kW) or energy for the run (kWh) as a number above 0.</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
+  if (loadProfile && loadMode === LOAD_MODES.interruptible) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">A load profile runs its steps in order and can't be split up. Choose "one continuous block" or a flat kW/kWh load.</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
+  if (
+    loadMode === LOAD_MODES.interruptible &&
+    ((minRunMinutes !== null && minRunMinutes < PERIOD_MINUTES) ||
+      (maxSegments !== null && maxSegments < 1))
+  ) {
+    messageBox.innerHTML = `<p class="text-red-600 font-bold">The shortest piece must be at least ${PERIOD_MINUTES} minutes and at least one piece must be allowed.</p>`;
+    slotResultsContainer.innerHTML = "";
+    chartContainer.classList.add("hidden");
+    strategyGeneratorContainer.classList.add("hidden");
+    return;
+  }
 
   // Start loading state
   calculateButton.disabled = true;
@@ -709,26 +6974,20 @@ async function handleCalculate() {
   strategyGeneratorContainer.classList.add("hidden");
 
   try {
-    // 1. Fetch data (will use cache if available and fresh)
-    const { allRawPrices, statusMessage, isCached } =
-      await checkCacheAndFetchPrices(zone);
+    // 1. Fetch data (will use cache if available and fresh), or replay an
+    //    imported price file as of the time it was exported
+    const planTime = getPlanTime();
+    const { allRawPrices, statusMessage, isCached, isStale, days } =
+      importedPriceSeries
+        ? loadImportedPrices()
+        : await checkCacheAndFetchPrices(zone);
 
     // Show status message after fetching/checking
-    dataStatusBox.innerHTML = statusMessage;
-    dataStatusBox.classList.remove(
-      "hidden",
-      "bg-red-100",
-      "bg-yellow-100",
-      "bg-green-100",
-      "bg-green-200",
-      "text-red-800",
-      "text-yellow-800",
-      "text-green-800"
-    );
-    dataStatusBox.classList.add(
-      isCached ? "bg-green-200" : "bg-green-100",
-      "text-green-800"
-    );
+    renderDataStatus(statusMessage, isCached, isStale);
+    // Keep the plan current as tomorrow's prices and new days arrive
+    if (!importedPriceSeries) {
+      startPriceRefresh(handleCalculate, days);
+    }
 
     if (!allRawPrices.length) {
       messageBox.innerHTML =
@@ -739,116 +6998,223 @@ async function handleCalculate() {
       return;
     }
 
-    // 2. Parse data and apply user fees
-    const allPrices = parsePriceData(allRawPrices, userFees);
-    // 3. Filter prices: Must be in the future AND within the selected time window
-    const availablePrices = allPrices.filter((p) => {
-      if (p.isPast) return false;
-
-      const priceHour = p.timestamp.getHours();
-      const priceDate = p.timestamp.toISOString().split("T")[0];
-      const todayDate = new Date().toISOString().split("T")[0];
-      const tomorrowDate = new Date(Date.now() + 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
-
-      if (slotValue === "today-full") {
-        return priceDate === todayDate;
+    // 2. Parse data, apply user fees and put it on one resolution
+    const parsedPrices = parsePriceData(allRawPrices, userFees, planTime);
+    checkPriceAlerts(parsedPrices, planTime);
+    const gridPrices = resamplePrices(
+      parsedPrices,
+      priceResolutionSelect.value,
+      planTime
+    );
+    renderResamplingNote(allRawPrices, gridPrices);
+    // Solar output covers part of the run at what exporting would earn
+    const applianceKw = loadProfile
+      ? loadProfile.reduce((sum, kw) => sum + kw, 0) / loadProfile.length
+      : applianceLoadUnit === LOAD_UNITS.kwh
+      ? applianceLoad / (minutesNeeded / 60)
+      : applianceLoad;
+    const solarPrices = solar
+      ? applySolarSelfConsumption(gridPrices, solar, applianceKw)
+      : gridPrices;
+    // Each period gets the grid's carbon intensity when a series is loaded
+    let allPrices = solarPrices;
+    if (carbon) {
+      const { rows, note } = await loadCarbonIntensity(zone, carbon);
+      allPrices = applyCarbonIntensity(solarPrices, rows);
+      if (note) {
+        dataStatusBox.innerHTML += `<br>🌱 ${escapeHtml(note)}`;
       }
-      if (slotValue === "tomorrow-full") {
-        return priceDate === tomorrowDate;
+    }
+    const chartOverlays = {};
+    if (solar) {
+      chartOverlays.pvKw = allPrices.map((p) => p.pv_kw);
+    }
+    if (carbon?.showOnChart) {
+      chartOverlays.carbonG = allPrices.map((p) => p.carbon_g);
+    }
+    // 3. Filter prices: Must be in the future AND inside the search window
+    let availablePrices = allPrices.filter(
+      (p) => !p.isPast && p.timestamp >= earliestStart && p.endTime <= finishBy
+    );
+    // Rank on a mix of price and emissions when the slider asks for it
+    const ranking =
+      carbon && carbon.weight > 0
+        ? { priceKey: "rank_price", costShare: 1 - carbon.weight }
+        : null;
+    if (ranking) {
+      if (!availablePrices.some((p) => typeof p.carbon_g === "number")) {
+        messageBox.innerHTML = `<p class="text-red-600 font-bold">No carbon-intensity data covers the search window for ${zone}. Import a series, check the provider settings or move the slider back to cost.</p>`;
+        chartContainer.classList.add("hidden");
+        return;
       }
-      // If within a specific time window, filter by hour range for both days
-      return priceHour >= startHour && priceHour < endHour;
-    });
+      availablePrices = applyCarbonWeight(availablePrices, carbon.weight);
+    }
 
-    const totalSlotsAvailable = availablePrices.length;
-    const totalMinutesAvailable = totalSlotsAvailable * 15;
+    const totalMinutesAvailable = sumPeriodMinutes(availablePrices);
     const hoursNeeded = minutesNeeded / 60;
     if (totalMinutesAvailable < minutesNeeded) {
-      const zoneName = priceZoneSelect.selectedOptions[0].dataset.zoneName;
-      let errorMsg = "";
-      if (slotValue === "tomorrow-full") {
-        if (!shouldFetchNextDayPrice) {
-          errorMsg = `
-            <p class="text-yellow-700 font-bold">
-            ⚠️ Tomorrow's prices are not yet published (${minutesNeeded} minutes needed, but only ${totalMinutesAvailable} available).
-            </p>
-            <p class="text-gray-500 mt-2 text-sm">
-            Prices for tomorrow are typically published after 13:00, but can sometimes take longer (usually by 13:15). If it's past 13:15 and prices are still unavailable, please check <a href="https://www.elprisetjustnu.se/i/${zoneName}/imorgon" target="_blank" class="underline text-blue-600">elprisetjustnu.se</a> for your zone to confirm availability, then try again here.
-            </p>
-            <p class="text-gray-500 mt-2 text-sm">
-            Alternatively, try reducing the duration or widening the search window.
-            </p>
-          `;
-        } else {
-          errorMsg = `
-          <p class="text-red-600 font-bold">
-          ⚠️ Not enough future periods available for tomorrow (${minutesNeeded} minutes needed, but only ${totalMinutesAvailable} available).
-          </p>
-          <p class="text-gray-500 mt-2 text-sm">
-          If it's after 13:15 and still unavailable, check <a href="https://www.elprisetjustnu.se/i/${zoneName}/imorgon" target="_blank" class="underline text-blue-600">elprisetjustnu.se</a> for your zone to confirm availability, then try again.
-          </p>
-          <p class="text-gray-500 mt-2 text-sm">
-          Alternatively, try reducing the duration or widening the search window.
-          </p>
-        `;
-        }
-      } else if (slotValue === "today-full") {
-        errorMsg = `
-        <p class="text-red-600 font-bold">
-        ⚠️ All available time slots for today have already passed or been consumed (${minutesNeeded} minutes needed, but only ${totalMinutesAvailable} available).
-        </p>
-        <p class="text-gray-500 mt-2 text-sm">
-        Only future periods are shown here. Try reducing the duration or widening the search window.
-        </p>
-      `;
-      } else {
-        errorMsg = `
-        <p class="text-red-600 font-bold">
-        ⚠️ Not enough future periods available in the selected window (${minutesNeeded} minutes needed, but only ${totalMinutesAvailable} available).
-        </p>
-        <p class="text-gray-500 mt-2 text-sm">
-        Try reducing the duration or widening the search window.
-        </p>
-      `;
-      }
-      messageBox.innerHTML = errorMsg;
+      messageBox.innerHTML = explainWindowShortfall(
+        allPrices,
+        earliestStart,
+        finishBy,
+        minutesNeeded,
+        totalMinutesAvailable
+      );
       chartContainer.classList.add("hidden");
       return;
     }
 
-    // 4. Find the top N non-overlapping slots (Greedy Strategy)
-    const results = findTopBestTimeSlots(
-      availablePrices,
-      hoursNeeded,
-      topSlotsNeeded
+    // 4. Find the top N non-overlapping slots with the selected strategy,
+    //    or the cheapest split-up periods for interruptible loads
+    //    The run is rounded up to whole periods of the price grid
+    const periodMinutes = getPeriodMinutes(allPrices);
+    const periodsNeeded = Math.ceil(minutesNeeded / periodMinutes);
+    // Energy used per period, from either the power rating or the run total
+    const energyNeededKwh =
+      applianceLoadUnit === LOAD_UNITS.kwh
+        ? applianceLoad
+        : (applianceLoad * minutesNeeded) / 60;
+    const kwhPerPeriod = energyNeededKwh / periodsNeeded;
+    // Contiguous runs can follow a load profile step by step
+    const load = loadProfile
+      ? resampleLoadProfile(
+          loadProfile.map((kw) => (kw * PERIOD_MINUTES) / 60),
+          periodMinutes
+        )
+      : kwhPerPeriod;
+    let results;
+    let strategyComparison = null;
+    if (loadMode === LOAD_MODES.interruptible) {
+      const minRunPeriods = minRunMinutes
+        ? Math.ceil(minRunMinutes / periodMinutes)
+        : 1;
+      const plan = findCheapestInterruptiblePeriods(
+        availablePrices,
+        periodsNeeded,
+        minRunPeriods,
+        maxSegments,
+        kwhPerPeriod,
+        ranking?.priceKey
+      );
+      const [bestContiguous] = findTopBestTimeSlots(
+        availablePrices,
+        minutesNeeded,
+        1,
+        SLOT_STRATEGIES.optimal,
+        kwhPerPeriod,
+        userFees.powerTariff,
+        ranking
+      );
+      if (plan) {
+        addPowerChargeToPlan(plan, userFees.powerTariff);
+        plan.contiguousCost = bestContiguous ? bestContiguous.runCost : null;
+      }
+      results = plan ? [plan] : [];
+    } else {
+      results = findTopBestTimeSlots(
+        availablePrices,
+        minutesNeeded,
+        topSlotsNeeded,
+        slotStrategy,
+        load,
+        userFees.powerTariff,
+        ranking
+      );
+      // The strategies are compared on cost, which a CO₂ mix does not rank on
+      strategyComparison = ranking
+        ? null
+        : compareSlotStrategies(
+            availablePrices,
+            minutesNeeded,
+            topSlotsNeeded,
+            load,
+            userFees.powerTariff
+          );
+    }
+
+    // Compare every recommendation with simply starting the run now
+    const startNow = findRunStartingNow(
+      allPrices,
+      periodsNeeded,
+      load,
+      userFees.powerTariff
     );
+    results.forEach((slot) => {
+      slot.startNowCost = startNow ? startNow.runCost : null;
+    });
+    const runCostsByIndex = computeRunCosts(
+      allPrices,
+      periodsNeeded,
+      load,
+      userFees.powerTariff
+    ).map((cost, index) => (allPrices[index].isPast ? null : cost));
 
-    // Store results globally for the LLM assistant
+    // Store results globally for the LLM assistant and calendar export
     lastCalculatedSlots = results;
     lastCalculatedUserFees = userFees;
+    lastCalendarPlan = {
+      name: applianceNameInput.value.trim() || "Appliance run",
+      zone,
+    };
+    lastPlanPrices = { zone, planTime, prices: gridPrices };
+    const energyKwh = getLoadSteps(load, periodsNeeded).reduce(
+      (sum, kwh) => sum + kwh,
+      0
+    );
+    lastCalculatedLoad = {
+      energyKwh: energyKwh,
+      powerKw: energyKwh / hoursNeeded,
+      profileKw: loadProfile,
+    };
 
     if (results.length === 0) {
       messageBox.innerHTML =
-        '<p class="text-red-600 font-bold">Could not find any suitable continuous time block matching your criteria.</p>';
+        loadMode === LOAD_MODES.interruptible
+          ? '<p class="text-red-600 font-bold">Could not split the run into pieces that satisfy your shortest-piece and most-pieces limits. Try relaxing them or widening the search window.</p>'
+          : '<p class="text-red-600 font-bold">Could not find any suitable continuous time block matching your criteria.</p>';
       chartContainer.classList.add("hidden");
+    } else if (loadMode === LOAD_MODES.interruptible) {
+      const [plan] = results;
+      messageBox.innerHTML = `
+      <p class="mb-3 text-green-700 text-lg font-bold">✅ Found the cheapest ${
+        plan.periods.length
+      } periods in ${plan.segments.length} piece${
+        plan.segments.length !== 1 ? "s" : ""
+      }!</p>
+      <p class="text-gray-600">
+        <span class="font-semibold">Requested duration:</span> ${hoursNeeded.toFixed(
+          2
+        )} hours, split into pieces where that is cheaper.
+      </p>
+      ${ranking ? renderCarbonRanking(carbon.weight) : ""}
+      `;
+      renderPriceChart(allPrices, results, runCostsByIndex, chartOverlays);
+      slotResultsContainer.innerHTML = renderSlot(plan);
     } else {
       messageBox.innerHTML = `
       <p class="mb-3 text-green-700 text-lg font-bold">✅ Found ${
         results.length
       } Best Non-Overlapping Time Slot${results.length !== 1 ? "s" : ""}!</p>
       <p class="text-gray-600">
-        Calculated across the next ${totalSlotsAvailable.toFixed(
-          1
-        )} hours of available data using your custom fees.<br>
+        Calculated across ${(totalMinutesAvailable / 60).toFixed(
+          2
+        )} hours of available data between ${formatWindowTime(
+        earliestStart
+      )} and ${formatWindowTime(finishBy)} using your custom fees.<br>
         <span class="font-semibold">Requested duration:</span> ${hoursNeeded.toFixed(
           2
         )} hours.
       </p>
+      ${
+        strategyComparison
+          ? renderStrategyComparison(strategyComparison, slotStrategy)
+          : ""
+      }
+      ${ranking ? renderCarbonRanking(carbon.weight) : ""}
+      ${renderCalendarDownloadAll()}
       `;
       // 5. Render Chart
-      renderPriceChart(allPrices, results);
+      renderPriceChart(allPrices, results, runCostsByIndex, chartOverlays);
 
       // 6. Render Detailed Slots
       results.forEach((slot) => {
@@ -860,12 +7226,15 @@ async function handleCalculate() {
       //   strategyOutput.innerHTML =
       //     "Enter your tasks above and click the button for an optimized schedule!";
     }
+    messageBox.innerHTML += checkArmedReminders();
 
-    // Scroll to results
-    setTimeout(() => {
-      chartContainer.scrollIntoView({ behavior: "smooth" });
-      disclaimerNote.classList.remove("hidden");
-    }, 100);
+    // Scroll to results, unless this is a background refresh
+    if (!isBackgroundRefresh) {
+      setTimeout(() => {
+        chartContainer.scrollIntoView({ behavior: "smooth" });
+        disclaimerNote.classList.remove("hidden");
+      }, 100);
+    }
   } catch (error) {
     console.error("Calculation Error:", error);
     dataStatusBox.classList.remove("bg-green-100", "bg-green-200");
@@ -880,6 +7249,149 @@ async function handleCalculate() {
   }
 }
 
+// --- Background Refresh ---
+// Once a plan is on screen, prices are checked again at 13:15 for tomorrow's
+// file, then with backoff until it appears, and at midnight to roll the day
+// over. New data re-runs the last plan. Stale offline prices are retried
+// with the same backoff, and at once when the browser is back online.
+
+/**
+ * Picks when prices should next be checked and arms the timer. A retry
+ * after 13:15 uses the current backoff and then doubles it.
+ */
+function planNextRefresh(days) {
+  const now = new Date();
+  const todayKey = getStockholmDateKey(now);
+  const midnight = stockholmToDate(addStockholmDays(todayKey, 1));
+  const tomorrowDay = days.find(
+    (day) => day.dateKey === addStockholmDays(todayKey, 1)
+  );
+
+  if (days.some((day) => day.stale)) {
+    nextRefresh = {
+      at: new Date(now.getTime() + refreshRetryMinutes * 60000),
+      reason: "to replace stale prices once back online",
+    };
+    refreshRetryMinutes = Math.min(
+      refreshRetryMinutes * 2,
+      REFRESH_RETRY_MINUTES.max
+    );
+  } else if (tomorrowDay?.complete) {
+    nextRefresh = { at: midnight, reason: "to roll over to the new day" };
+  } else if (!isNextDayPricePublished(now)) {
+    nextRefresh = {
+      at: stockholmToDate(todayKey, 13, 15),
+      reason: "when tomorrow's prices are published",
+    };
+  } else {
+    const retryAt = new Date(now.getTime() + refreshRetryMinutes * 60000);
+    nextRefresh = {
+      at: retryAt < midnight ? retryAt : midnight,
+      reason: "tomorrow's prices are not out yet",
+    };
+    refreshRetryMinutes = Math.min(
+      refreshRetryMinutes * 2,
+      REFRESH_RETRY_MINUTES.max
+    );
+  }
+  armRefreshTimer();
+  renderRefreshStatus();
+}
+
+/**
+ * Starts background refresh for the plan `planHandler` just rendered.
+ */
+function startPriceRefresh(planHandler, days) {
+  lastPlanHandler = planHandler;
+  refreshedDateKey = days[0].dateKey;
+  refreshRetryMinutes = REFRESH_RETRY_MINUTES.initial;
+  planNextRefresh(days);
+}
+
+/**
+ * Waits for the next check. Timers in background tabs are throttled or
+ * paused, so long waits are split up and the due time checked again.
+ */
+function armRefreshTimer() {
+  clearTimeout(refreshTimerId);
+  if (!nextRefresh) return;
+  const delay = nextRefresh.at.getTime() - Date.now();
+  if (delay <= 0) {
+    runScheduledRefresh();
+    return;
+  }
+  refreshTimerId = setTimeout(
+    armRefreshTimer,
+    Math.min(delay, REFRESH_TICK_MINUTES * 60000)
+  );
+}
+
+/**
+ * Checks for new prices and re-runs the last plan if any arrived or the day
+ * has rolled over; otherwise plans the next check.
+ */
+async function runScheduledRefresh() {
+  nextRefresh = null;
+  renderRefreshStatus();
+  try {
+    const { days } = await checkCacheAndFetchPrices(priceZoneSelect.value);
+    const dayRolledOver = days[0].dateKey !== refreshedDateKey;
+    if (dayRolledOver || days.some((day) => day.source === "network")) {
+      isBackgroundRefresh = true;
+      await lastPlanHandler();
+      return;
+    }
+    planNextRefresh(days);
+  } catch (error) {
+    console.error("Background refresh failed:", error);
+    planNextRefresh([]);
+  } finally {
+    isBackgroundRefresh = false;
+  }
+}
+
+/**
+ * Checks for prices straight away when the connection returns, so stale
+ * offline prices are replaced without waiting for the timer.
+ */
+function handleBackOnline() {
+  if (!lastPlanHandler || !nextRefresh) return;
+  clearTimeout(refreshTimerId);
+  runScheduledRefresh();
+}
+
+/**
+ * Shows when the next background check will happen.
+ */
+function renderRefreshStatus() {
+  if (!nextRefresh) {
+    refreshStatus.textContent = "🔄 Checking for new prices…";
+  } else {
+    refreshStatus.textContent = `🔄 Next price check: ${formatWindowTime(
+      nextRefresh.at
+    )}, ${nextRefresh.reason}.`;
+  }
+  refreshStatus.classList.remove("hidden");
+}
+
+// --- Offline Support ---
+// service-worker.js keeps the app and recent price files for offline use.
+// Browsers only run service workers on https:// and localhost pages.
+
+/**
+ * Registers the service worker where the browser supports one.
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) {
+    return;
+  }
+  navigator.serviceWorker
+    .register(SERVICE_WORKER_URL)
+    .catch((error) =>
+      console.error("Service worker registration failed:", error)
+    );
+}
+
 // --- Initialization ---
 document.addEventListener("DOMContentLoaded", () => {
   strategyGeneratorContainer.classList.add("hidden");
@@ -892,10 +7404,65 @@ document.addEventListener("DOMContentLoaded", () => {
       zone: "SE4",
       minutesNeeded: "60",
       topSlotsNeeded: "4",
+      slotStrategy: SLOT_STRATEGIES.optimal,
+      loadMode: LOAD_MODES.contiguous,
+      minRunMinutes: "",
+      maxSegments: "",
+      applianceLoad: "1",
+      applianceLoadUnit: LOAD_UNITS.kw,
+      loadProfile: "",
+      appliances: DEFAULT_APPLIANCES,
+      powerCapKw: "11",
       timeSlot: "today-full",
+      earliestStart: "",
+      finishBy: "",
+      windowPresets: [],
       gridFee: "0",
+      gridTariffMode: GRID_TARIFF_MODES.flat,
+      gridTariffRules: "",
+      cars: [],
+      evCar: "",
+      evPackKwh: "75",
+      evChargerKw: "11",
+      evLossPercent: "10",
+      evCurrentCharge: "35",
+      evTargetCharge: "80",
+      evDeparture: "07:00",
+      evLoadMode: LOAD_MODES.interruptible,
+      solarMode: SOLAR_MODES.off,
+      solarPeakKw: "5",
+      solarSunrise: "06:00",
+      solarSunset: "20:00",
+      solarBaseLoad: "0.3",
+      exportAdjustment: "0",
+      pvForecast: [],
+      carbonProvider: "off",
+      carbonToken: "",
+      carbonWeight: "0",
+      carbonChart: true,
+      batteryCapacity: "10",
+      batteryPower: "5",
+      batteryEfficiency: "90",
+      batterySoc: "50",
+      batteryReserve: "10",
+      supplierMarkup: "0",
+      certificateFee: "0",
+      supplierMonthlyFee: "0",
+      monthlyConsumption: "",
+      fixedPrice: "",
+      powerCharge: "0",
+      powerPeaksAveraged: "3",
+      powerBaseLoad: "0",
+      powerCurrentPeaks: "",
+      powerPeakHours: "* * *",
       energyTax: "0",
       vatPercentage: "0",
+      cacheRetentionDays: String(DEFAULT_CACHE_RETENTION_DAYS),
+      priceProvider: DEFAULT_PRICE_PROVIDER,
+      priceResolution: PRICE_RESOLUTIONS.auto,
+      entsoeToken: "",
+      eurSekRate: String(DEFAULT_EUR_SEK_RATE),
+      fixturePath: DEFAULT_FIXTURE_PATH,
     };
     const prefsStr =
       localStorage.getItem(cacheKeys.userPreferences) ||
@@ -905,15 +7472,256 @@ document.addEventListener("DOMContentLoaded", () => {
       priceZoneSelect.value = prefs.zone;
       minutesNeededInput.value = prefs.minutesNeeded;
       topSlotsNeededInput.value = prefs.topSlotsNeeded;
+      slotStrategySelect.value =
+        prefs.slotStrategy || defaultPreferences.slotStrategy;
+      loadModeSelect.value = prefs.loadMode || defaultPreferences.loadMode;
+      minRunMinutesInput.value = prefs.minRunMinutes || "";
+      maxSegmentsInput.value = prefs.maxSegments || "";
+      applianceLoadInput.value =
+        prefs.applianceLoad || defaultPreferences.applianceLoad;
+      applianceLoadUnitSelect.value =
+        prefs.applianceLoadUnit || defaultPreferences.applianceLoadUnit;
+      loadProfileInput.value = prefs.loadProfile || "";
+      renderApplianceList(prefs.appliances || defaultPreferences.appliances);
+      powerCapKwInput.value = prefs.powerCapKw || defaultPreferences.powerCapKw;
+      userWindowPresets = prefs.windowPresets || [];
+      renderUserWindowPresets();
       timeSlotSelect.value = prefs.timeSlot;
+      if (!timeSlotSelect.value) {
+        // The saved preset was deleted; keep its window as a custom one
+        timeSlotSelect.value = CUSTOM_WINDOW;
+      }
+      earliestStartInput.value = prefs.earliestStart || "";
+      finishByInput.value = prefs.finishBy || "";
       gridFeeInput.value = prefs.gridFee;
+      gridTariffModeSelect.value =
+        prefs.gridTariffMode || defaultPreferences.gridTariffMode;
+      gridTariffRulesInput.value = prefs.gridTariffRules || "";
+      solarModeSelect.value = prefs.solarMode || defaultPreferences.solarMode;
+      solarPeakKwInput.value =
+        prefs.solarPeakKw || defaultPreferences.solarPeakKw;
+      solarSunriseInput.value =
+        prefs.solarSunrise || defaultPreferences.solarSunrise;
+      solarSunsetInput.value =
+        prefs.solarSunset || defaultPreferences.solarSunset;
+      solarBaseLoadInput.value =
+        prefs.solarBaseLoad || defaultPreferences.solarBaseLoad;
+      exportAdjustmentInput.value =
+        prefs.exportAdjustment || defaultPreferences.exportAdjustment;
+      pvForecastRows = prefs.pvForecast || [];
+      applianceNameInput.value = prefs.applianceName || "";
+      calendarReminderSelect.value = prefs.calendarReminder || "";
+      reminderLeadSelect.value =
+        prefs.reminderLead || DEFAULT_REMINDER_LEAD_MINUTES;
+      priceAlertRulesInput.value = prefs.priceAlertRules || "";
+      priceAlertNotifyInput.checked = !!prefs.priceAlertNotify;
+      carbonProviderSelect.value =
+        prefs.carbonProvider || defaultPreferences.carbonProvider;
+      carbonTokenInput.value = prefs.carbonToken || "";
+      carbonWeightInput.value =
+        prefs.carbonWeight || defaultPreferences.carbonWeight;
+      carbonChartInput.checked = prefs.carbonChart !== false;
+      savedCars = prefs.cars || [];
+      renderSavedCars();
+      evCarSelect.value = prefs.evCar || "";
+      evCarNameInput.value = "";
+      evPackKwhInput.value = prefs.evPackKwh || defaultPreferences.evPackKwh;
+      evChargerKwInput.value =
+        prefs.evChargerKw || defaultPreferences.evChargerKw;
+      evLossPercentInput.value =
+        prefs.evLossPercent || defaultPreferences.evLossPercent;
+      evCurrentChargeInput.value =
+        prefs.evCurrentCharge || defaultPreferences.evCurrentCharge;
+      evTargetChargeInput.value =
+        prefs.evTargetCharge || defaultPreferences.evTargetCharge;
+      evDepartureInput.value =
+        prefs.evDeparture || defaultPreferences.evDeparture;
+      evLoadModeSelect.value =
+        prefs.evLoadMode || defaultPreferences.evLoadMode;
+      batteryCapacityInput.value =
+        prefs.batteryCapacity || defaultPreferences.batteryCapacity;
+      batteryPowerInput.value =
+        prefs.batteryPower || defaultPreferences.batteryPower;
+      batteryEfficiencyInput.value =
+        prefs.batteryEfficiency || defaultPreferences.batteryEfficiency;
+      batterySocInput.value = prefs.batterySoc || defaultPreferences.batterySoc;
+      batteryReserveInput.value =
+        prefs.batteryReserve || defaultPreferences.batteryReserve;
+      supplierMarkupInput.value =
+        prefs.supplierMarkup || defaultPreferences.supplierMarkup;
+      certificateFeeInput.value =
+        prefs.certificateFee || defaultPreferences.certificateFee;
+      supplierMonthlyFeeInput.value =
+        prefs.supplierMonthlyFee || defaultPreferences.supplierMonthlyFee;
+      monthlyConsumptionInput.value = prefs.monthlyConsumption || "";
+      fixedPriceInput.value = prefs.fixedPrice || "";
+      powerChargeInput.value =
+        prefs.powerCharge || defaultPreferences.powerCharge;
+      powerPeaksAveragedInput.value =
+        prefs.powerPeaksAveraged || defaultPreferences.powerPeaksAveraged;
+      powerBaseLoadInput.value =
+        prefs.powerBaseLoad || defaultPreferences.powerBaseLoad;
+      powerCurrentPeaksInput.value = prefs.powerCurrentPeaks || "";
+      powerPeakHoursInput.value =
+        prefs.powerPeakHours || defaultPreferences.powerPeakHours;
       energyTaxInput.value = prefs.energyTax;
       vatPercentageInput.value = prefs.vatPercentage;
+      cacheRetentionDaysInput.value =
+        prefs.cacheRetentionDays || defaultPreferences.cacheRetentionDays;
+      priceProviderSelect.value =
+        prefs.priceProvider || defaultPreferences.priceProvider;
+      priceResolutionSelect.value =
+        prefs.priceResolution || defaultPreferences.priceResolution;
+      entsoeTokenInput.value = prefs.entsoeToken || "";
+      eurSekRateInput.value = prefs.eurSekRate || defaultPreferences.eurSekRate;
+      fixturePathInput.value =
+        prefs.fixturePath || defaultPreferences.fixturePath;
     }
   } catch (e) {
     console.error("Error loading user preferences:", e);
   }
 
+  // Prices now live in IndexedDB; drop the old single-day copy
+  localStorage.removeItem(cacheKeys.electricityPrices);
+
+  updateLoadModeOptions();
+  updateLoadUnitOptions();
+  updatePriceProviderOptions();
+  updateGridTariffOptions();
+  updateSolarOptions();
+  updateCarbonOptions();
+  applySelectedCar();
+  applySelectedWindowPreset();
+  timeSlotSelect.addEventListener("change", applySelectedWindowPreset);
+  [earliestStartInput, finishByInput].forEach((input) =>
+    input.addEventListener("input", () => {
+      timeSlotSelect.value = CUSTOM_WINDOW;
+      deleteWindowPresetButton.classList.add("hidden");
+    })
+  );
+  saveWindowPresetButton.addEventListener("click", handleSaveWindowPreset);
+  deleteWindowPresetButton.addEventListener("click", handleDeleteWindowPreset);
+  loadModeSelect.addEventListener("change", updateLoadModeOptions);
+  applianceLoadUnitSelect.addEventListener("change", updateLoadUnitOptions);
+  loadProfileInput.addEventListener("input", updateLoadUnitOptions);
+  loadProfilePresetSelect.addEventListener("change", () => {
+    const preset = LOAD_PROFILE_PRESETS[loadProfilePresetSelect.value];
+    if (preset) {
+      loadProfileInput.value = preset.join(", ");
+      updateLoadUnitOptions();
+    }
+    loadProfilePresetSelect.value = "";
+  });
+  gridTariffModeSelect.addEventListener("change", updateGridTariffOptions);
+  gridTariffPresetSelect.addEventListener("change", () => {
+    const preset = GRID_TARIFF_PRESETS[gridTariffPresetSelect.value];
+    if (preset) {
+      gridTariffRulesInput.value = preset.join("\n");
+    }
+    gridTariffPresetSelect.value = "";
+  });
+  // Timers may have been paused while the tab was hidden
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) {
+      armRefreshTimer();
+      armReminderTimer();
+    }
+  });
+  [
+    priceProviderSelect,
+    priceResolutionSelect,
+    entsoeTokenInput,
+    eurSekRateInput,
+    fixturePathInput,
+    cacheRetentionDaysInput,
+  ].forEach((input) =>
+    input.addEventListener("change", savePriceSourceSettings)
+  );
+  priceProviderSelect.addEventListener("change", updatePriceProviderOptions);
+  priceFileInput.addEventListener("change", handlePriceFileImport);
+  [
+    solarModeSelect,
+    solarPeakKwInput,
+    solarSunriseInput,
+    solarSunsetInput,
+    solarBaseLoadInput,
+    exportAdjustmentInput,
+  ].forEach((input) => input.addEventListener("change", saveSolarSettings));
+  solarModeSelect.addEventListener("change", updateSolarOptions);
+  pvForecastFileInput.addEventListener("change", handlePvForecastImport);
+  [
+    carbonProviderSelect,
+    carbonTokenInput,
+    carbonWeightInput,
+    carbonChartInput,
+  ].forEach((input) => input.addEventListener("change", saveCarbonSettings));
+  carbonProviderSelect.addEventListener("change", updateCarbonOptions);
+  carbonWeightInput.addEventListener("input", updateCarbonOptions);
+  carbonFileInput.addEventListener("change", handleCarbonImport);
+  exportPricesCsvButton.addEventListener("click", () =>
+    handleDataExport("prices-csv")
+  );
+  exportSlotsCsvButton.addEventListener("click", () =>
+    handleDataExport("slots-csv")
+  );
+  exportJsonButton.addEventListener("click", () => handleDataExport("json"));
+  planImportFileInput.addEventListener("change", handlePlanImport);
+  clearPlanImportButton.addEventListener("click", handleClearPlanImport);
+  copyLinkButton.addEventListener("click", handleCopyLink);
+  window.addEventListener("hashchange", openShareLink);
+  window.addEventListener("online", handleBackOnline);
+  // Calendar and reminder buttons are rendered with each plan
+  [messageBox, slotResultsContainer].forEach((container) =>
+    container.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-calendar-slot]");
+      if (button) downloadSlotCalendar(button.dataset.calendarSlot);
+      const remindButton = event.target.closest("[data-remind-slot]");
+      if (remindButton) handleSlotReminder(remindButton.dataset.remindSlot);
+    })
+  );
+  [priceAlertRulesInput, priceAlertNotifyInput].forEach((input) =>
+    input.addEventListener("change", savePriceAlertSettings)
+  );
+  reminderList.addEventListener("click", (event) => {
+    const button = event.target.closest("[data-cancel-reminder]");
+    if (button) handleCancelReminder(button.dataset.cancelReminder);
+  });
   calculateButton.addEventListener("click", handleCalculate);
+  scheduleButton.addEventListener("click", handleScheduleAppliances);
+  compareContractsButton.addEventListener("click", handleCompareContracts);
+  historyButton.addEventListener("click", handlePriceHistory);
+  batteryButton.addEventListener("click", handleBatteryPlan);
+  evButton.addEventListener("click", handleEvPlan);
+  evCarSelect.addEventListener("change", applySelectedCar);
+  saveCarButton.addEventListener("click", handleSaveCar);
+  deleteCarButton.addEventListener("click", handleDeleteCar);
+  addApplianceButton.addEventListener("click", () => {
+    renderApplianceList([
+      ...readApplianceRows(),
+      { name: "", minutes: 60, kw: 1, earliestStart: "", deadline: "" },
+    ]);
+  });
+  applianceList.addEventListener("click", (event) => {
+    const row = event.target.closest("[data-remove-appliance]")
+      ? event.target.closest("[data-appliance-row]")
+      : null;
+    if (row) {
+      row.remove();
+    }
+  });
   generateStrategyButton.addEventListener("click", handleStrategyGeneration);
+
+  // The price history starts out on the last 30 days
+  const todayDateStr = getStockholmDateKey(new Date());
+  historyFromInput.value = addStockholmDays(todayDateStr, -30);
+  historyToInput.value = addStockholmDays(todayDateStr, -1);
+  historyToInput.max = todayDateStr;
+
+  armedReminders = readReminders();
+  renderReminders();
+  armReminderTimer();
+
+  // A shared link fills the form and runs its plan
+  openShareLink();
+  registerServiceWorker();
 });
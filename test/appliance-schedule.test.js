@@ -0,0 +1,214 @@
+// The household scheduler against a brute-force search on small plans, where
+// every combination of starts can be tried.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlanner } = require("./load-planner");
+
+const planner = loadPlanner();
+
+/**
+ * Hourly periods from midnight UTC with the given prices.
+ */
+function buildPrices(values, periodMinutes = 60) {
+  const start = Date.UTC(2026, 5, 15);
+  return values.map((price, index) => ({
+    timestamp: new Date(start + index * periodMinutes * 60000),
+    endTime: new Date(start + (index + 1) * periodMinutes * 60000),
+    durationMinutes: periodMinutes,
+    calculated_price: price,
+  }));
+}
+
+/**
+ * Power charge of hourly `load` (kW per period), counting only the hours of
+ * `peakIndexes` that have load, on top of the tariff's current peaks.
+ */
+function bruteForcePowerCharge(load, powerTariff, peakIndexes) {
+  const average = (peaksKw) =>
+    [...peaksKw]
+      .sort((a, b) => b - a)
+      .slice(0, powerTariff.peaksAveraged)
+      .reduce((sum, kw) => sum + kw, 0) / powerTariff.peaksAveraged;
+  const loadedKw = peakIndexes
+    .filter((i) => load[i] > 1e-9)
+    .map((i) => powerTariff.baseLoadKw + load[i]);
+  return (
+    (average([...powerTariff.currentPeaksKw, ...loadedKw]) -
+      average(powerTariff.currentPeaksKw)) *
+    powerTariff.chargePerKw
+  );
+}
+
+/**
+ * The most appliances that fit and their lowest total cost, trying every
+ * start (or no run) for every appliance. With a `powerTariff`, the cost
+ * includes the power charge of the load in `peakIndexes`.
+ */
+function bruteForceSchedule(
+  prices,
+  appliances,
+  powerCapKw,
+  powerTariff = null,
+  peakIndexes = []
+) {
+  let best = { count: -1, cost: Infinity };
+  const load = new Array(prices.length).fill(0);
+  const visit = (index, count, cost) => {
+    if (index === appliances.length) {
+      if (powerTariff) {
+        cost += bruteForcePowerCharge(load, powerTariff, peakIndexes);
+      }
+      if (count > best.count || (count === best.count && cost < best.cost)) {
+        best = { count, cost };
+      }
+      return;
+    }
+    visit(index + 1, count, cost);
+    const { kw, periodsNeeded } = appliances[index];
+    for (let start = 0; start + periodsNeeded <= prices.length; start++) {
+      const periods = [...Array(periodsNeeded).keys()].map((i) => start + i);
+      if (periods.some((i) => load[i] + kw > powerCapKw + 1e-9)) continue;
+      periods.forEach((i) => (load[i] += kw));
+      visit(
+        index + 1,
+        count + 1,
+        cost +
+          periods.reduce((sum, i) => sum + prices[i].calculated_price * kw, 0)
+      );
+      periods.forEach((i) => (load[i] -= kw));
+    }
+  };
+  visit(0, 0, 0);
+  return best;
+}
+
+test("small plans get the lowest possible total cost", () => {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let run = 0; run < 200; run++) {
+    const prices = buildPrices(
+      Array.from({ length: 12 }, () => Math.round(random() * 100) / 100)
+    );
+    const appliances = Array.from(
+      { length: 2 + Math.floor(random() * 3) },
+      (_, i) => ({
+        name: `Appliance ${i + 1}`,
+        kw: 1 + Math.floor(random() * 4),
+        periodsNeeded: 1 + Math.floor(random() * 4),
+        earliestStart: null,
+        deadline: null,
+      })
+    );
+    const powerCapKw = 3 + Math.floor(random() * 3);
+
+    const schedule = planner.scheduleAppliances(prices, appliances, powerCapKw);
+    const best = bruteForceSchedule(prices, appliances, powerCapKw);
+    assert.equal(schedule.isOptimal, true);
+    assert.equal(schedule.entries.length, best.count, `run ${run}`);
+    assert.ok(Math.abs(schedule.totalCost - best.cost) < 1e-9, `run ${run}`);
+    assert.ok(schedule.peakKw <= powerCapKw + 1e-9);
+  }
+});
+
+test("small plans include the power charge in the lowest total cost", () => {
+  // Prices start at midnight UTC, 02:00 in Stockholm in June
+  const peakIndexes = [4, 5, 6, 7, 8, 9];
+  const powerTariff = {
+    chargePerKw: 0.4,
+    peaksAveraged: 2,
+    baseLoadKw: 0.5,
+    currentPeaksKw: [2, 1.5],
+    peakHours: [
+      {
+        months: new Set([6]),
+        weekdays: new Set([1, 2, 3, 4, 5, 6, 7]),
+        hours: new Set(peakIndexes.map((i) => i + 2)),
+      },
+    ],
+    monthKey: "2026-06",
+  };
+  let seed = 11;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  for (let run = 0; run < 100; run++) {
+    const prices = buildPrices(
+      Array.from({ length: 12 }, (_, i) =>
+        // Peak hours are the cheap ones, so the charge changes the plan
+        peakIndexes.includes(i)
+          ? Math.round(random() * 30) / 100
+          : 0.2 + Math.round(random() * 50) / 100
+      )
+    );
+    const appliances = Array.from(
+      { length: 2 + Math.floor(random() * 3) },
+      (_, i) => ({
+        name: `Appliance ${i + 1}`,
+        kw: 1 + Math.floor(random() * 3),
+        periodsNeeded: 1 + Math.floor(random() * 3),
+        earliestStart: null,
+        deadline: null,
+      })
+    );
+    const powerCapKw = 3 + Math.floor(random() * 3);
+
+    const schedule = planner.scheduleAppliances(
+      prices,
+      appliances,
+      powerCapKw,
+      powerTariff
+    );
+    const best = bruteForceSchedule(
+      prices,
+      appliances,
+      powerCapKw,
+      powerTariff,
+      peakIndexes
+    );
+    assert.equal(schedule.isOptimal, true);
+    assert.equal(schedule.entries.length, best.count, `run ${run}`);
+    assert.ok(Math.abs(schedule.totalCost - best.cost) < 1e-9, `run ${run}`);
+    const energyCost = schedule.entries.reduce((sum, e) => sum + e.runCost, 0);
+    assert.ok(
+      Math.abs(schedule.totalCost - energyCost - schedule.powerCost) < 1e-9
+    );
+  }
+});
+
+test("appliances stay inside their own windows", () => {
+  const prices = buildPrices([1, 1, 5, 5, 5, 2, 2, 9]);
+  const schedule = planner.scheduleAppliances(
+    prices,
+    [
+      {
+        name: "Dryer",
+        kw: 2,
+        periodsNeeded: 2,
+        earliestStart: prices[2].timestamp,
+        deadline: prices[6].endTime,
+      },
+      { name: "Washer", kw: 2, periodsNeeded: 2 },
+    ],
+    3
+  );
+  const startOf = (name) =>
+    schedule.entries.find((entry) => entry.appliance.name === name).startIndex;
+  assert.equal(startOf("Dryer"), 5);
+  assert.equal(startOf("Washer"), 0);
+  assert.equal(schedule.isOptimal, true);
+});
+
+test("large plans stop searching and report the best plan found", () => {
+  const prices = buildPrices(
+    Array.from({ length: 192 }, (_, i) => 1 + Math.sin(i / 10) + (i % 7) / 10),
+    15
+  );
+  const appliances = Array.from({ length: 8 }, (_, i) => ({
+    name: `Appliance ${i + 1}`,
+    kw: 2 + (i % 3),
+    periodsNeeded: 4 + 2 * i,
+  }));
+  const schedule = planner.scheduleAppliances(prices, appliances, 6);
+  assert.equal(schedule.isOptimal, false);
+  assert.equal(schedule.entries.length, 8);
+  assert.ok(schedule.peakKw <= 6 + 1e-9);
+});
@@ -0,0 +1,113 @@
+// iCalendar export on the autumn DST day: runs in the repeated hour must not
+// be ambiguous, and text values must be escaped and folded per RFC 5545.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlanner } = require("./load-planner");
+
+const planner = loadPlanner();
+const NOW = new Date("2026-10-24T12:00:00Z");
+
+/**
+ * Content lines of a calendar, with folded lines joined back together.
+ */
+function unfold(ics) {
+  return ics.replace(/\r\n /g, "").split("\r\n");
+}
+
+test("lines end in CRLF and stay within 75 octets", () => {
+  const ics = planner.buildIcsCalendar(
+    [
+      {
+        start: new Date("2026-10-25T10:00:00+01:00"),
+        end: new Date("2026-10-25T11:00:00+01:00"),
+        summary: "Tvättmaskin",
+        description: `Förväntad kostnad: ${"å€".repeat(60)}`,
+      },
+    ],
+    null,
+    NOW
+  );
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(ics.replace(/\r\n/g, "").includes("\n"), false);
+  ics
+    .split("\r\n")
+    .forEach((line) => assert.ok(Buffer.byteLength(line) <= 75, line));
+  assert.ok(
+    unfold(ics).includes(`DESCRIPTION:Förväntad kostnad: ${"å€".repeat(60)}`)
+  );
+});
+
+test("the repeated autumn hour is written in UTC", () => {
+  const lines = unfold(
+    planner.buildIcsCalendar(
+      [
+        {
+          // First 02:15-02:45, still summer time
+          start: new Date("2026-10-25T02:15:00+02:00"),
+          end: new Date("2026-10-25T02:45:00+02:00"),
+          summary: "First",
+          description: "",
+        },
+        {
+          // Second 02:15-02:45, after the clocks went back
+          start: new Date("2026-10-25T02:15:00+01:00"),
+          end: new Date("2026-10-25T02:45:00+01:00"),
+          summary: "Second",
+          description: "",
+        },
+        {
+          start: new Date("2026-10-25T03:00:00+01:00"),
+          end: new Date("2026-10-25T04:00:00+01:00"),
+          summary: "After",
+          description: "",
+        },
+      ],
+      null,
+      NOW
+    )
+  );
+  const events = lines.slice(lines.indexOf("BEGIN:VEVENT"));
+  const property = (name) => events.filter((line) => line.startsWith(name));
+  assert.deepEqual(property("DTSTART"), [
+    "DTSTART;TZID=Europe/Stockholm:20261025T021500",
+    "DTSTART:20261025T011500Z",
+    "DTSTART;TZID=Europe/Stockholm:20261025T030000",
+  ]);
+  assert.deepEqual(property("DTEND"), [
+    "DTEND;TZID=Europe/Stockholm:20261025T024500",
+    "DTEND:20261025T014500Z",
+    "DTEND;TZID=Europe/Stockholm:20261025T040000",
+  ]);
+  assert.ok(lines.includes("TZID:Europe/Stockholm"));
+});
+
+test("text values are escaped and reminders become alarms", () => {
+  const lines = unfold(
+    planner.buildIcsCalendar(
+      [
+        {
+          start: new Date("2026-03-29T01:00:00+01:00"),
+          end: new Date("2026-03-29T03:30:00+02:00"),
+          summary: "Wash; dry, fold \\ iron",
+          description: "Expected cost: 1,20 SEK\nPrice zone: SE3",
+        },
+      ],
+      10,
+      NOW
+    )
+  );
+  assert.ok(lines.includes("SUMMARY:Wash\\; dry\\, fold \\\\ iron"));
+  assert.ok(
+    lines.includes("DESCRIPTION:Expected cost: 1\\,20 SEK\\nPrice zone: SE3")
+  );
+  assert.ok(lines.includes("DTSTART;TZID=Europe/Stockholm:20260329T010000"));
+  assert.ok(lines.includes("DTEND;TZID=Europe/Stockholm:20260329T033000"));
+  assert.ok(lines.includes("TRIGGER:-PT10M"));
+  assert.ok(lines.includes("DTSTAMP:20261024T120000Z"));
+  assert.ok(
+    lines.includes(
+      "UID:20260329T000000Z-wash-dry-fold-iron@sweden-electricity-time-price-planner"
+    )
+  );
+});
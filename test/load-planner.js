@@ -0,0 +1,67 @@
+// Loads the planner script into a fresh context, the way index.html does,
+// with just enough of a browser around it to define its functions. Nothing
+// runs on load: the app only starts on DOMContentLoaded.
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { DOMParser } = require("@xmldom/xmldom");
+
+const SRC_DIR = path.join(__dirname, "..", "src");
+const SCRIPT_PATH = path.join(
+  SRC_DIR,
+  "sweden-electricity-time-price-planner.js"
+);
+
+/**
+ * Reads a file under src/, e.g. "fixtures/2026-10-25_SE3.json".
+ */
+function readSrcFile(relativePath) {
+  return fs.readFileSync(path.join(SRC_DIR, relativePath), "utf8");
+}
+
+/**
+ * A `fetch` that serves files under src/ like a static server: relative URLs
+ * resolve against index.html and missing files answer 404.
+ */
+async function fetchSrcFile(url) {
+  let body;
+  try {
+    body = readSrcFile(url);
+  } catch (error) {
+    return { ok: false, status: 404, headers: new Map() };
+  }
+  return {
+    ok: true,
+    status: 200,
+    headers: new Map(),
+    json: async () => JSON.parse(body),
+    text: async () => body,
+  };
+}
+
+/**
+ * Returns the planner's global scope. Top-level functions are properties of
+ * it; `planner.get("NAME")` reads script-level constants.
+ */
+function loadPlanner({ fetch = fetchSrcFile } = {}) {
+  const element = () => ({ addEventListener() {}, classList: {}, style: {} });
+  const context = vm.createContext({
+    console: { ...console, error() {}, warn() {} },
+    document: { getElementById: element, addEventListener() {} },
+    DOMParser, // For ENTSO-E documents
+    TextEncoder, // For folding calendar lines
+    URL,
+    URLSearchParams,
+    fetch,
+    setTimeout,
+    clearTimeout,
+  });
+  vm.runInContext(fs.readFileSync(SCRIPT_PATH, "utf8"), context, {
+    filename: SCRIPT_PATH,
+  });
+  context.get = (name) => vm.runInContext(name, context);
+  return context;
+}
+
+module.exports = { loadPlanner, readSrcFile };
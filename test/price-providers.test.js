@@ -0,0 +1,192 @@
+// Price providers that work without network access: the local fixture files
+// and the Nord Pool CSV and ENTSO-E XML imports. The autumn DST day is the
+// interesting case, with its repeated 02:00-03:00 hour.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlanner, readSrcFile } = require("./load-planner");
+
+const planner = loadPlanner();
+const AUTUMN_DAY = "2026-10-25";
+const FIXTURE_SETTINGS = { provider: "fixture", fixturePath: "fixtures/" };
+const readFixture = (dateKey) =>
+  JSON.parse(readSrcFile(`fixtures/${dateKey}_SE3.json`));
+// Rows from the planner's context have its own prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const toProviderRows = (rows) =>
+  rows.map((row) => ({
+    SEK_per_kWh: row.SEK_per_kWh,
+    time_start: new Date(row.time_start).toISOString(),
+    time_end: new Date(row.time_end).toISOString(),
+  }));
+
+test("the fixture provider reads YYYY-MM-DD_ZONE.json under its path", () => {
+  const { fixture } = planner.get("PRICE_PROVIDERS");
+  assert.equal(
+    fixture.getUrl(AUTUMN_DAY, "SE3", FIXTURE_SETTINGS),
+    "fixtures/2026-10-25_SE3.json"
+  );
+});
+
+test("the fixture provider loads both DST days", async () => {
+  for (const [dateKey, periods] of [
+    ["2026-03-29", 92],
+    [AUTUMN_DAY, 100],
+  ]) {
+    const result = await planner.fetchPrices(dateKey, "SE3", FIXTURE_SETTINGS);
+    assert.equal(result.rawData.length, periods);
+    assert.match(result.status, new RegExp(`\\(${periods} periods\\)`));
+    assert.deepEqual(
+      plain(result.rawData),
+      toProviderRows(readFixture(dateKey))
+    );
+    assert.equal(planner.isDayComplete(dateKey, result.rawData), true);
+  }
+});
+
+test("a day without a fixture file is reported as not released", async () => {
+  const result = await planner.fetchPrices(
+    "2026-10-26",
+    "SE3",
+    FIXTURE_SETTINGS
+  );
+  assert.equal(result.rawData, null);
+  assert.match(result.status, /not yet released \(404\)/);
+});
+
+test("parseNordPoolCsv places the repeated autumn hour after the first", () => {
+  // Hourly EUR/MWh prices with decimal commas and Stockholm wall times
+  const hours = [0, 1, 2, 2, ...Array.from({ length: 21 }, (_, i) => i + 3)];
+  const csv = [
+    "Delivery start;Delivery end;SE3 (EUR);SE4 (EUR)",
+    ...hours.map((hour, index) => {
+      const time = `${AUTUMN_DAY} ${String(hour).padStart(2, "0")}:00`;
+      return `${time};;${index * 10},5;99`;
+    }),
+  ].join("\r\n");
+  const rows = planner.parseNordPoolCsv(csv, "SE3", 11);
+
+  assert.equal(rows.length, 25);
+  assert.equal(rows[2].time_start, "2026-10-25T00:00:00.000Z"); // 02:00+02:00
+  assert.equal(rows[3].time_start, "2026-10-25T01:00:00.000Z"); // 02:00+01:00
+  assert.equal(rows[4].time_start, "2026-10-25T02:00:00.000Z"); // 03:00+01:00
+  rows.forEach((row, index) => {
+    assert.ok(
+      Math.abs(row.SEK_per_kWh - ((index * 10 + 0.5) * 11) / 1000) < 1e-9
+    );
+    assert.equal(new Date(row.time_end) - new Date(row.time_start), 60 * 60000);
+  });
+  assert.equal(planner.isDayComplete(AUTUMN_DAY, rows), true);
+});
+
+test("parseNordPoolCsv reads quarter hours with and without offsets", () => {
+  const fixture = readFixture(AUTUMN_DAY);
+  const withOffsets = [
+    "Time start,SE3 (SEK/kWh)",
+    ...fixture.map((row) => `${row.time_start},${row.SEK_per_kWh}`),
+  ].join("\n");
+  const wallTimes = [
+    "Time start,SE3 (SEK/kWh)",
+    ...fixture.map(
+      (row) =>
+        `${row.time_start.slice(0, 16).replace("T", " ")},${row.SEK_per_kWh}`
+    ),
+  ].join("\n");
+
+  [withOffsets, wallTimes].forEach((csv) => {
+    assert.deepEqual(
+      plain(planner.parseNordPoolCsv(csv, "SE3", 11)),
+      toProviderRows(fixture)
+    );
+  });
+});
+
+test("parseNordPoolCsv needs a price column for the zone", () => {
+  assert.throws(
+    () =>
+      planner.parseNordPoolCsv(
+        "Start;SE3 (EUR)\n2026-10-25 00:00;1",
+        "SE4",
+        11
+      ),
+    /No price column for SE4/
+  );
+  assert.throws(
+    () => planner.parseNordPoolCsv("Start;SE3 (EUR)", "SE3", 11),
+    /no price rows/
+  );
+});
+
+/**
+ * An ENTSO-E day-ahead document with one period per series.
+ */
+function buildEntsoeXml(series) {
+  const periods = series.map(
+    ({ start, end, resolution, points }) => `
+  <TimeSeries>
+    <Period>
+      <timeInterval><start>${start}</start><end>${end}</end></timeInterval>
+      <resolution>${resolution}</resolution>
+      ${points
+        .map(
+          ([position, price]) =>
+            `<Point><position>${position}</position><price.amount>${price}</price.amount></Point>`
+        )
+        .join("\n      ")}
+    </Period>
+  </TimeSeries>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Publication_MarketDocument xmlns="urn:iec62325.351:tc57wg16:451-3:publicationdocument:7:3">
+  <type>A44</type>${periods.join("")}
+</Publication_MarketDocument>`;
+}
+
+test("parseEntsoeXml covers the autumn DST day and fills left-out points", () => {
+  // 25 hours; positions 4 and 5 repeat position 3 (curve type A03)
+  const points = Array.from({ length: 25 }, (_, i) => [i + 1, 40 + i]).filter(
+    ([position]) => position !== 4 && position !== 5
+  );
+  const period = {
+    start: "2026-10-24T22:00Z",
+    end: "2026-10-25T23:00Z",
+    resolution: "PT60M",
+    points,
+  };
+  // The same series twice counts once
+  const rows = planner.parseEntsoeXml(buildEntsoeXml([period, period]), 11);
+
+  assert.equal(rows.length, 25);
+  assert.equal(rows[0].time_start, "2026-10-24T22:00:00.000Z");
+  assert.equal(rows[24].time_end, "2026-10-25T23:00:00.000Z");
+  assert.equal(rows[3].SEK_per_kWh, rows[2].SEK_per_kWh);
+  assert.equal(rows[4].SEK_per_kWh, rows[2].SEK_per_kWh);
+  assert.ok(Math.abs(rows[5].SEK_per_kWh - (45 * 11) / 1000) < 1e-9);
+  assert.equal(planner.isDayComplete(AUTUMN_DAY, rows), true);
+});
+
+test("parseEntsoeXml reads quarter-hour periods", () => {
+  const rows = planner.parseEntsoeXml(
+    buildEntsoeXml([
+      {
+        start: "2026-10-24T22:00Z",
+        end: "2026-10-25T23:00Z",
+        resolution: "PT15M",
+        points: Array.from({ length: 100 }, (_, i) => [i + 1, i]),
+      },
+    ]),
+    10
+  );
+  assert.equal(rows.length, 100);
+  assert.equal(rows.length, planner.getStockholmPeriodsInDay(AUTUMN_DAY));
+  assert.equal(rows[9].time_start, "2026-10-25T00:15:00.000Z");
+  assert.equal(rows[99].SEK_per_kWh, 0.99);
+});
+
+test("parseEntsoeXml yields no rows for a document without prices", () => {
+  const acknowledgement = `<?xml version="1.0" encoding="UTF-8"?>
+<Acknowledgement_MarketDocument xmlns="urn:iec62325.351:tc57wg16:451-1:acknowledgementdocument:7:0">
+  <Reason><code>999</code><text>No matching data found</text></Reason>
+</Acknowledgement_MarketDocument>`;
+  assert.equal(planner.parseEntsoeXml(acknowledgement, 11).length, 0);
+});
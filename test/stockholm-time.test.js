@@ -0,0 +1,96 @@
+// Stockholm time helpers on the two DST transition days of 2026, checked
+// against the fixture files. The device runs in another timezone on purpose:
+// every date calculation must follow Swedish time, not the device's.
+process.env.TZ = "America/New_York";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPlanner, readSrcFile } = require("./load-planner");
+
+const planner = loadPlanner();
+const SPRING_DAY = "2026-03-29";
+const AUTUMN_DAY = "2026-10-25";
+const readFixture = (dateKey) =>
+  JSON.parse(readSrcFile(`fixtures/${dateKey}_SE3.json`));
+
+test("the device is not on Stockholm time", () => {
+  assert.notEqual(new Date("2026-10-25T00:30:00+02:00").getDate(), 25);
+});
+
+test("a DST day has 92 periods in spring and 100 in autumn", () => {
+  assert.equal(planner.getStockholmPeriodsInDay(SPRING_DAY), 92);
+  assert.equal(planner.getStockholmPeriodsInDay(AUTUMN_DAY), 100);
+  assert.equal(planner.getStockholmPeriodsInDay("2026-10-24"), 96);
+  assert.equal(readFixture(SPRING_DAY).length, 92);
+  assert.equal(readFixture(AUTUMN_DAY).length, 100);
+});
+
+test("the fixtures cover both DST days completely", () => {
+  assert.equal(
+    planner.isDayComplete(SPRING_DAY, readFixture(SPRING_DAY)),
+    true
+  );
+  assert.equal(
+    planner.isDayComplete(AUTUMN_DAY, readFixture(AUTUMN_DAY)),
+    true
+  );
+});
+
+test("a day missing its repeated autumn hour is not complete", () => {
+  const rows = readFixture(AUTUMN_DAY).filter(
+    (row) => row.time_start.slice(11) !== "02:00:00+01:00"
+  );
+  assert.equal(planner.isDayComplete(AUTUMN_DAY, rows), false);
+});
+
+test("repeated autumn wall times resolve to their first occurrence", () => {
+  const toIso = (hour, minute) =>
+    planner.stockholmToDate(AUTUMN_DAY, hour, minute).toISOString();
+  assert.equal(toIso(2, 0), "2026-10-25T00:00:00.000Z"); // 02:00+02:00
+  assert.equal(toIso(2, 45), "2026-10-25T00:45:00.000Z");
+  assert.equal(toIso(3, 0), "2026-10-25T02:00:00.000Z"); // 03:00+01:00
+  const firstRepeatedRow = readFixture(AUTUMN_DAY).find((row) =>
+    row.time_start.startsWith(`${AUTUMN_DAY}T02:00`)
+  );
+  assert.equal(
+    new Date(firstRepeatedRow.time_start).getTime(),
+    planner.stockholmToDate(AUTUMN_DAY, 2, 0).getTime()
+  );
+});
+
+test("skipped spring wall times resolve to the hour after", () => {
+  const toIso = (hour, minute) =>
+    planner.stockholmToDate(SPRING_DAY, hour, minute).toISOString();
+  assert.equal(toIso(1, 45), "2026-03-29T00:45:00.000Z"); // 01:45+01:00
+  assert.equal(toIso(2, 30), "2026-03-29T01:30:00.000Z"); // 03:30+02:00
+  assert.equal(toIso(3, 0), "2026-03-29T01:00:00.000Z"); // 03:00+02:00
+});
+
+test("instants after Stockholm midnight get the Stockholm date key", () => {
+  [SPRING_DAY, AUTUMN_DAY].forEach((dateKey) => {
+    readFixture(dateKey).forEach((row) => {
+      assert.equal(
+        planner.getStockholmDateKey(new Date(row.time_start)),
+        dateKey,
+        row.time_start
+      );
+    });
+    // 00:00-02:00 Stockholm is still the previous day in UTC and New York
+    assert.equal(
+      planner.getStockholmDateKey(planner.stockholmToDate(dateKey, 0, 0)),
+      dateKey
+    );
+    assert.equal(
+      planner.getStockholmDateKey(planner.stockholmToDate(dateKey, 1, 59)),
+      dateKey
+    );
+  });
+  assert.equal(
+    planner.getStockholmDateKey(new Date("2026-10-24T21:59:00Z")),
+    "2026-10-24"
+  );
+  assert.equal(
+    planner.getStockholmDateKey(new Date("2026-10-24T22:00:00Z")),
+    AUTUMN_DAY
+  );
+});